@@ -0,0 +1,77 @@
+const { processScheduledDeletions } = require('../services/accountService');
+const { processSavedSearches } = require('../services/savedSearchService');
+const { processCollusionDetection } = require('../services/collusionService');
+const { processTrustDecay } = require('../services/trustDecayService');
+const { backfillProjectUniversities } = require('../utils/universities');
+const JobRun = require('../models/JobRun');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+  { name: 'account-deletions', intervalMs: HOUR, run: processScheduledDeletions },
+  { name: 'saved-searches', intervalMs: HOUR, run: processSavedSearches },
+  { name: 'collusion-detection', intervalMs: HOUR, run: processCollusionDetection },
+  { name: 'trust-decay', intervalMs: DAY, run: processTrustDecay },
+  { name: 'project-universities', intervalMs: DAY, run: backfillProjectUniversities }
+];
+
+const running = new Set();
+
+// Run a job unless a previous run is still in progress, recording when it ran
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+  running.add(job.name);
+
+  let lastError = null;
+  try {
+    await JobRun.updateOne({ name: job.name }, { $set: { lastStartedAt: new Date() } }, { upsert: true });
+    await job.run();
+  } catch (error) {
+    lastError = error.message;
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    running.delete(job.name);
+  }
+
+  try {
+    await JobRun.updateOne({ name: job.name }, { $set: { lastFinishedAt: new Date(), lastError } });
+  } catch (error) {
+    console.error(`Job ${job.name} run record failed:`, error);
+  }
+};
+
+// Time until a job is next due, based on its last recorded start (due now if it never ran)
+const delayUntilDue = async (job) => {
+  try {
+    const lastRun = await JobRun.findOne({ name: job.name });
+    if (!lastRun || !lastRun.lastStartedAt) return 0;
+    return Math.max(0, lastRun.lastStartedAt.getTime() + job.intervalMs - Date.now());
+  } catch (error) {
+    console.error(`Job ${job.name} schedule lookup failed:`, error);
+    return 0;
+  }
+};
+
+// Schedule a job's first run from its last recorded run, then keep it on its interval,
+// so restarts more often than the interval cannot postpone it indefinitely
+const scheduleJob = async (job) => {
+  const delay = await delayUntilDue(job);
+
+  setTimeout(() => {
+    runJob(job);
+    setInterval(() => runJob(job), job.intervalMs).unref();
+  }, delay).unref();
+};
+
+// Start all jobs (disable with DISABLE_JOBS=true, e.g. when running several API instances)
+const startJobs = async () => {
+  if (process.env.DISABLE_JOBS === 'true') return;
+
+  await Promise.all(jobs.map(scheduleJob));
+
+  console.log(`⏱️  Started ${jobs.length} background job(s)`);
+};
+
+module.exports = { startJobs, runJob, jobs };
@@ -1,49 +1,209 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 
-// Middleware to protect routes
+// Resolve the user a JWT belongs to (shared by HTTP and socket auth)
+const authenticateToken = async (token, { ip } = {}) => {
+  // Verify token (throws on bad signature or expiry)
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Get user from token
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+
+  // Tokens issued before the last password change are no longer valid
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return { error: 'Token has been revoked, please log in again' };
+  }
+
+  // Access tokens are bound to a session that logout or revocation can end
+  const session = mongoose.Types.ObjectId.isValid(decoded.sid)
+    ? await Session.findOne({ _id: decoded.sid, user: user._id })
+    : null;
+
+  if (!session || !session.isActive()) {
+    return { error: 'Session has been revoked, please log in again' };
+  }
+
+  await session.touch(ip);
+  await user.markActive();
+
+  return { user, decoded, session };
+};
+
+// Resolve the user a personal access token belongs to
+const authenticatePersonalAccessToken = async (rawToken, { ip } = {}) => {
+  const pat = await PersonalAccessToken.findActiveByToken(rawToken);
+
+  if (!pat) {
+    return { error: 'Invalid or expired personal access token' };
+  }
+
+  const user = await User.findById(pat.user).select('-password');
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+
+  await pat.touch(ip);
+  await user.markActive();
+
+  return { user, pat };
+};
+
+// Scopes declared with requireScope() on the matched route
+const getRouteScopes = (req) => {
+  if (!req.route) return [];
+  return req.route.stack.map(layer => layer.handle.requiredScope).filter(Boolean);
+};
+
+// Middleware to protect routes (login JWTs, or personal access tokens on scoped routes)
 const protect = async (req, res, next) => {
   let token;
 
   // Check for token in headers
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+    // Get token from header
+    token = req.headers.authorization.split(' ')[1];
+  }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!token) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+  try {
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      const { user, pat, error } = await authenticatePersonalAccessToken(token, { ip: req.ip });
 
-      if (!req.user) {
-        return res.status(401).json({ message: 'User not found' });
+      if (error) {
+        return res.status(401).json({ message: error });
       }
 
-      if (!req.user.isActive) {
-        return res.status(401).json({ message: 'Account is deactivated' });
+      // Personal access tokens only reach routes that declare a scope
+      if (!getRouteScopes(req).length) {
+        return res.status(403).json({ message: 'Personal access tokens cannot be used for this endpoint' });
       }
 
-      next();
-    } catch (error) {
-      console.error('Token verification error:', error);
-      return res.status(401).json({ message: 'Not authorized, token failed' });
+      req.user = user;
+      req.personalAccessToken = pat;
+    } else {
+      const { user, decoded, error } = await authenticateToken(token, { ip: req.ip });
+
+      if (error) {
+        return res.status(401).json({ message: error });
+      }
+
+      req.user = user;
+      req.sessionId = decoded.sid;
+    }
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+
+  next();
+};
+
+// Middleware to require a scope when authenticated with a personal access token
+// (session logins have full access). Use after protect.
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.personalAccessToken && !req.personalAccessToken.hasScope(scope)) {
+      return res.status(403).json({ 
+        message: `Token is missing the required scope: ${scope}`,
+        requiredScope: scope
+      });
     }
+    next();
+  };
+
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+// Socket.IO handshake middleware - same checks as protect, attaches socket.user
+const socketAuth = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  let token = auth.token || headers.authorization;
+
+  if (token && token.startsWith('Bearer')) {
+    token = token.split(' ')[1];
   }
 
   if (!token) {
-    return res.status(401).json({ message: 'Not authorized, no token' });
+    return next(new Error('Not authorized, no token'));
+  }
+
+  try {
+    const { user, decoded, error } = await authenticateToken(token, { ip: socket.handshake.address });
+
+    if (error) {
+      return next(new Error(error));
+    }
+
+    socket.user = user;
+    socket.sessionId = decoded.sid;
+    socket.tokenVersion = decoded.tv || 0;
+    next();
+  } catch (error) {
+    console.error('Socket token verification error:', error.message);
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+// Re-check a connected socket against its user and session, which may have changed since
+// the handshake (deactivation, password change, logout or revocation)
+const checkSocketSession = async (socket) => {
+  const user = await User.findById(socket.user._id).select('isActive tokenVersion');
+
+  if (!user || !user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+
+  if (socket.tokenVersion !== (user.tokenVersion || 0)) {
+    return { error: 'Token has been revoked, please log in again' };
   }
+
+  const session = await Session.findOne({ _id: socket.sessionId, user: user._id });
+  if (!session || !session.isActive()) {
+    return { error: 'Session has been revoked, please log in again' };
+  }
+
+  return {};
+};
+
+// Admins must enroll in two-factor auth unless ADMIN_REQUIRE_2FA=false
+const isTwoFactorRequired = (user) => {
+  return user.role === 'admin' && process.env.ADMIN_REQUIRE_2FA !== 'false';
 };
 
 // Middleware to check if user is admin
 const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+  if (!req.user || req.user.role !== 'admin') {
     return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
   }
+
+  if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+    return res.status(403).json({ 
+      message: 'Two-factor authentication must be enabled before using admin features.',
+      requiresTwoFactor: true
+    });
+  }
+
+  next();
 };
 
 // Middleware to check if user is project owner
@@ -177,7 +337,12 @@ const hasSignedNDA = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticateToken,
   protect,
+  requireScope,
+  socketAuth,
+  checkSocketSession,
+  isTwoFactorRequired,
   admin,
   projectOwner,
   canEditProject,
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Most endorsements one person can have given in total, across everyone they endorse
+const MAX_PER_ENDORSER = parseInt(process.env.ENDORSEMENTS_PER_ENDORSER_LIMIT) || 20;
+
+const endorsementSchema = new mongoose.Schema({
+  endorser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endorsee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Canonical skill name, as stored in the endorsee's skills
+  skill: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // A project both users belong to when the endorsement was made
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Derived from the endorser's trust score at the time of endorsing
+  weight: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+endorsementSchema.index({ endorser: 1, endorsee: 1, skill: 1 }, { unique: true });
+endorsementSchema.index({ endorsee: 1, skill: 1 });
+endorsementSchema.index({ skill: 1 });
+
+endorsementSchema.statics.MAX_PER_ENDORSER = MAX_PER_ENDORSER;
+
+// Trust 0-100 maps to weight 0.5-1.5, so a trusted peer counts up to three times a new one
+endorsementSchema.statics.weightForTrust = function(trustScore = 0) {
+  const trust = Math.max(0, Math.min(100, trustScore));
+  return Math.round((0.5 + trust / 100) * 100) / 100;
+};
+
+// Static method to get per-skill counts and weighted scores for a user's listed skills
+endorsementSchema.statics.summarize = async function(userId, skills) {
+  const rows = await this.aggregate([
+    { $match: { endorsee: new mongoose.Types.ObjectId(userId.toString()), skill: { $in: skills } } },
+    { $group: { _id: '$skill', count: { $sum: 1 }, score: { $sum: '$weight' } } }
+  ]);
+  const bySkill = new Map(rows.map(row => [row._id, row]));
+
+  return skills
+    .filter(skill => bySkill.has(skill))
+    .map(skill => ({
+      skill,
+      count: bySkill.get(skill).count,
+      score: Math.round(bySkill.get(skill).score * 100) / 100
+    }));
+};
+
+// Static method to find users whose endorsed score for every given skill reaches minScore
+endorsementSchema.statics.findEndorseeIds = async function(skills, minScore = 0) {
+  const rows = await this.aggregate([
+    { $match: { skill: { $in: skills } } },
+    { $group: { _id: { endorsee: '$endorsee', skill: '$skill' }, score: { $sum: '$weight' } } },
+    { $match: { score: { $gte: minScore } } },
+    { $group: { _id: '$_id.endorsee', skills: { $sum: 1 } } },
+    { $match: { skills: skills.length } }
+  ]);
+  return rows.map(row => row._id);
+};
+
+module.exports = mongoose.model('Endorsement', endorsementSchema);
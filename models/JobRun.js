@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Last run of each background job, so schedules survive restarts
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  // 'account:<email>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // Earliest time the next attempt is accepted (progressive delay)
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Consecutive lockouts; each one doubles the lockout duration
+  lockCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+loginThrottleSchema.index({ lockedUntil: -1 });
+// Forget entries a day after the last failure
+loginThrottleSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Method to check if entry is currently locked
+loginThrottleSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -37,25 +37,26 @@ messageSchema.index({ project: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ createdAt: -1 });
 
-// Method to get messages for a project with pagination
-messageSchema.statics.getProjectMessages = function(projectId, page = 1, limit = 50) {
+// Method to get messages for a project with pagination (senderSelect: sender fields to populate;
+// callers that serialize senders pass withPrivacy(...) from utils/userSerializer)
+messageSchema.statics.getProjectMessages = function(projectId, page = 1, limit = 50, senderSelect = 'name email') {
   const skip = (page - 1) * limit;
   
   return this.find({ project: projectId })
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
-    .populate('sender', 'name email')
+    .populate('sender', senderSelect)
     .populate('project', 'title')
     .lean();
 };
 
 // Method to get recent messages for a project
-messageSchema.statics.getRecentMessages = function(projectId, limit = 20) {
+messageSchema.statics.getRecentMessages = function(projectId, limit = 20, senderSelect = 'name email') {
   return this.find({ project: projectId })
     .sort({ createdAt: -1 })
     .limit(limit)
-    .populate('sender', 'name email')
+    .populate('sender', senderSelect)
     .lean();
 };
 
@@ -4,6 +4,7 @@ const notificationSchema = new mongoose.Schema({
   type: { type: String, required: true },
   message: { type: String, required: true },
   report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
   read: { type: Boolean, default: false }
 }, { timestamps: true });
 module.exports = mongoose.model('Notification', notificationSchema); 
\ No newline at end of file
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Raw tokens look like "uc_pat_<48 hex chars>" so they are easy to spot in logs and scanners
+const TOKEN_PREFIX = 'uc_pat_';
+
+const SCOPES = [
+  'projects:read',
+  'projects:write',
+  'tasks:write',
+  'messages:read',
+  'messages:write',
+  'users:read'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, shown in listings to tell tokens apart
+  tokenHint: {
+    type: String
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['user_revoked', 'password_changed', 'admin', 'account_deletion']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// How often lastUsedAt is written back (avoids a write on every request)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+personalAccessTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+
+personalAccessTokenSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Static method to check if a bearer token is a personal access token
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(rawToken) {
+  return typeof rawToken === 'string' && rawToken.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to create a token; the raw value is returned once and never stored
+personalAccessTokenSchema.statics.generate = async function(userId, { name, scopes, expiresInDays }) {
+  const rawToken = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+
+  const doc = await this.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: this.hashToken(rawToken),
+    tokenHint: rawToken.slice(0, TOKEN_PREFIX.length + 4),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { rawToken, doc };
+};
+
+// Static method to revoke all of a user's tokens (password change/reset, admin sign-out, account deletion)
+personalAccessTokenSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to find a usable token by its raw value
+personalAccessTokenSchema.statics.findActiveByToken = function(rawToken) {
+  return this.findOne({
+    tokenHash: this.hashToken(rawToken),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to record usage of the token
+personalAccessTokenSchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = new Date();
+  if (ip) this.lastUsedIp = ip;
+  return this.save();
+};
+
+// Method to check if token grants a scope
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Never serialize the hash; select: false only covers queries, not freshly created documents
+personalAccessTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
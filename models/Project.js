@@ -26,6 +26,10 @@ const projectSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Owner's university, copied here so listings can filter on it (kept in sync with the owner)
+  university: {
+    type: String
+  },
   members: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -117,6 +121,12 @@ const projectSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'on-hold', 'cancelled'],
     default: 'active'
   },
+  // Desired number of members including the owner (used to surface projects that need people)
+  teamSize: {
+    type: Number,
+    min: [1, 'Team size must be at least 1'],
+    max: [50, 'Team size cannot exceed 50']
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -128,6 +138,10 @@ const projectSchema = new mongoose.Schema({
   lastActivity: {
     type: Date,
     default: Date.now
+  },
+  // When the project last became public (saved searches notify about projects published since)
+  publishedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -135,11 +149,19 @@ const projectSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 projectSchema.index({ owner: 1 });
+projectSchema.index({ university: 1 });
 projectSchema.index({ privacy: 1 });
 projectSchema.index({ status: 1 });
 projectSchema.index({ techStack: 1 });
 projectSchema.index({ tags: 1 });
 projectSchema.index({ createdAt: -1 });
+projectSchema.index({ lastActivity: -1 });
+projectSchema.index({ publishedAt: -1 });
+// Full-text search (utils/search): title matches rank above tags, tags above description
+projectSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'project_text_search', weights: { title: 10, tags: 5, description: 1 } }
+);
 
 // Method to add member to project
 projectSchema.methods.addMember = function(userId, role = 'viewer') {
@@ -203,8 +225,25 @@ projectSchema.methods.incrementView = function() {
   return this.save();
 };
 
-// Pre-save middleware to ensure owner is always a member
+// Static method to find a project two users both belong to (optionally a specific one)
+projectSchema.statics.findShared = function(userA, userB, projectId) {
+  const belongsTo = (userId) => ({ $or: [{ owner: userId }, { 'members.user': userId }] });
+  const filter = { isDeleted: false, $and: [belongsTo(userA), belongsTo(userB)] };
+  if (projectId) filter._id = projectId;
+  return this.findOne(filter);
+};
+
+// Static method to copy an owner's (new) university onto their projects
+projectSchema.statics.syncOwnerUniversity = function(ownerId, university) {
+  return this.updateMany({ owner: ownerId }, { university });
+};
+
+// Pre-save middleware to stamp publishedAt and ensure owner is always a member
 projectSchema.pre('save', function(next) {
+  if ((this.isNew || this.isModified('privacy')) && this.privacy === 'public') {
+    this.publishedAt = new Date();
+  }
+
   if (this.isNew) {
     this.members.push({
       user: this.owner,
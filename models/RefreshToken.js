@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family (the Session id)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'user_revoked', 'admin', 'reuse_detected', 'password_changed']
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB purge tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw refresh token
+refreshTokenSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Static method to create a refresh token, returns the raw token and the stored document
+refreshTokenSchema.statics.issue = async function(userId, family, { ip, userAgent } = {}) {
+  const rawToken = crypto.randomBytes(48).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(rawToken),
+    family,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { rawToken, doc };
+};
+
+// Static method to revoke every outstanding token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke all of a user's tokens, optionally keeping one family
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason, exceptFamily) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptFamily) query.family = { $ne: exceptFamily };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
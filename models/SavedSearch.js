@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Most saved searches a single user can keep
+const MAX_PER_USER = parseInt(process.env.SAVED_SEARCHES_PER_USER_LIMIT) || 20;
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Same filters as GET /api/projects, stored normalized (canonical skills and university)
+  filters: {
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Search text cannot exceed 100 characters']
+    },
+    techStack: [{
+      type: String,
+      trim: true
+    }],
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'on-hold', 'cancelled']
+    },
+    university: {
+      type: String,
+      trim: true
+    }
+  },
+  // Create a notification for each new match
+  notify: {
+    type: Boolean,
+    default: true
+  },
+  // Also include new matches in the email digest
+  emailDigest: {
+    type: Boolean,
+    default: false
+  },
+  // Projects published after this time are "new" for the next check
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMatchedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ lastCheckedAt: 1 });
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_PER_USER;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { EventEmitter } = require('events');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastIp: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Slides forward every time the refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'admin', 'reuse_detected', 'password_changed']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 });
+
+// How often lastUsedAt is written back (avoids a write on every request)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Emits 'revoked' with { sessionId } or { userId, exceptSessionId } after sessions are revoked,
+// so connections opened on them (Socket.IO) can be closed
+const revocations = new EventEmitter();
+sessionSchema.statics.revocations = revocations;
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to record activity on the session
+sessionSchema.methods.touch = function(ip) {
+  if (Date.now() - this.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = new Date();
+  if (ip) this.lastIp = ip;
+  return this.save();
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke one session and its refresh tokens
+sessionSchema.statics.revoke = async function(sessionId, reason, revokedBy) {
+  const RefreshToken = require('./RefreshToken');
+  await this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  await RefreshToken.revokeFamily(sessionId.toString(), reason);
+  revocations.emit('revoked', { sessionId: sessionId.toString() });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, { exceptSessionId, revokedBy } = {}) {
+  const RefreshToken = require('./RefreshToken');
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(query, { revokedAt: new Date(), revokedReason: reason, revokedBy });
+  await RefreshToken.revokeAllForUser(userId, reason, exceptSessionId && exceptSessionId.toString());
+  revocations.emit('revoked', { userId: userId.toString(), exceptSessionId: exceptSessionId && exceptSessionId.toString() });
+  return result.modifiedCount;
+};
+
+// Virtual for the fields shown in session listings
+sessionSchema.virtual('summary').get(function() {
+  return {
+    _id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastIp: this.lastIp,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt
+  };
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
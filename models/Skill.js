@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['language', 'framework', 'library', 'database', 'cloud', 'tool', 'design', 'data', 'other'];
+
+// Self-assessed proficiency a user can record per skill
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// "React.js", "react js" and "REACTJS" all become "reactjs"; symbols like + and # are kept (C++, C#)
+const normalizeKey = (value) => String(value || '').trim().toLowerCase().replace(/[\s._-]+/g, '');
+
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Skill name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Other spellings that should resolve to this skill, e.g. "ReactJS" for "React"
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'other'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Normalized name and aliases used for lookups and autocomplete
+  searchKeys: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+skillSchema.index({ searchKeys: 1 });
+skillSchema.index({ category: 1 });
+
+// Pre-save middleware to keep lookup keys in sync
+skillSchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.searchKeys = [...new Set([this.name, ...(this.aliases || [])].map(normalizeKey).filter(Boolean))];
+  }
+  next();
+});
+
+skillSchema.statics.CATEGORIES = CATEGORIES;
+skillSchema.statics.PROFICIENCY_LEVELS = PROFICIENCY_LEVELS;
+skillSchema.statics.normalizeKey = normalizeKey;
+
+// Static method to resolve free text (canonical name or alias) to a skill
+skillSchema.statics.resolve = function(text) {
+  const key = normalizeKey(text);
+  if (!key) return Promise.resolve(null);
+  return this.findOne({ searchKeys: key, isActive: true });
+};
+
+// Static method to resolve many values at once; returns a Map of normalized key -> skill
+skillSchema.statics.resolveMany = async function(values) {
+  const keys = [...new Set(values.map(normalizeKey).filter(Boolean))];
+  const skills = await this.find({ searchKeys: { $in: keys }, isActive: true }).select('+searchKeys');
+
+  const byKey = new Map();
+  skills.forEach(skill => {
+    skill.searchKeys.forEach(key => byKey.set(key, skill));
+  });
+  return byKey;
+};
+
+module.exports = mongoose.model('Skill', skillSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Suspicious voting patterns found by the collusion detector, queued for admin review
+const trustFlagSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['vote_ring', 'vote_burst']
+  },
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  votes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrustVote'
+  }],
+  projects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  // What the detector saw, e.g. vote counts and the time window
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifies the pattern so later runs do not queue it twice
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+  adminNote: {
+    type: String,
+    maxlength: 2000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+trustFlagSchema.index({ status: 1, createdAt: -1 });
+trustFlagSchema.index({ users: 1 });
+
+module.exports = mongoose.model('TrustFlag', trustFlagSchema);
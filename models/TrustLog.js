@@ -6,10 +6,19 @@ const trustLogSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Scoring event, defined in services/trustService
   action: {
     type: String,
     required: true,
     enum: [
+      'opening_balance',
+      'account_created',
+      'profile_completed',
+      'project_joined',
+      'task_completed',
+      'vote_received',
+      'vote_retracted',
+      'inactivity_decay',
       'admin_adjustment',
       'manual_adjustment'
     ]
@@ -22,6 +31,14 @@ const trustLogSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Points the event asked for when clamping at 0 or 100 applied less (points holds what was applied)
+  requestedPoints: {
+    type: Number
+  },
+  // Version of the TrustRule that scored this entry
+  ruleVersion: {
+    type: Number
+  },
   description: {
     type: String,
     required: true
@@ -42,36 +59,31 @@ const trustLogSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 trustLogSchema.index({ user: 1, createdAt: -1 });
+trustLogSchema.index({ user: 1, action: 1 });
+trustLogSchema.index({ 'metadata.voteId': 1 }, { sparse: true });
 
-// Only keep admin/manual adjustment logic
-trustLogSchema.statics.logActivity = async function(userId, action, points, description, metadata = {}) {
-  try {
-    const log = new this({
-      user: userId,
-      action,
-      points,
-      description,
-      metadata
-    });
-    await log.save();
-    // Admin/manual adjustment: update user's trust score
-    if (action === 'admin_adjustment' || action === 'manual_adjustment') {
-      const User = require('./User');
-      const user = await User.findById(userId);
-      if (user) {
-        const newScore = Math.max(0, Math.min(100, user.trustScore + points));
-        user.trustScore = newScore;
-        user.lastActive = new Date();
-        await user.save();
-      }
-    }
-    return log;
-  } catch (error) {
-    console.error('Error logging trust activity:', error);
-    throw error;
-  }
+// Groups of actions reported together in trust statistics
+const ACTION_CATEGORIES = {
+  onboarding: ['opening_balance', 'account_created', 'profile_completed'],
+  collaboration: ['project_joined', 'task_completed'],
+  peer_votes: ['vote_received', 'vote_retracted'],
+  inactivity: ['inactivity_decay'],
+  moderation: ['admin_adjustment', 'manual_adjustment']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The ledger is append-only: entries are written through services/trustService and never edited
+const rejectUpdate = function(next) {
+  next(new Error('Trust log entries are immutable'));
 };
 
+trustLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+trustLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
 // Static method to get user's trust history
 trustLogSchema.statics.getUserTrustHistory = function(userId, limit = 50) {
   return this.find({ user: userId })
@@ -81,4 +93,97 @@ trustLogSchema.statics.getUserTrustHistory = function(userId, limit = 50) {
     .populate('user', 'name email');
 };
 
+trustLogSchema.statics.ACTION_CATEGORIES = ACTION_CATEGORIES;
+
+// Static method to get trust statistics over the last `days` days: a daily score series ending
+// at the current score, points gained/lost per action category, the projects that contributed
+// most, and the user's percentile rank among active users at the same university
+trustLogSchema.statics.getTrustStats = async function(userId, days = 30) {
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('trustScore university');
+  if (!user) return null;
+
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const [facets] = await this.aggregate([
+    { $match: { user: user._id, createdAt: { $gte: since } } },
+    {
+      $facet: {
+        daily: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, points: { $sum: '$points' } } }
+        ],
+        actions: [
+          {
+            $group: {
+              _id: '$action',
+              count: { $sum: 1 },
+              gained: { $sum: { $cond: [{ $gt: ['$points', 0] }, '$points', 0] } },
+              lost: { $sum: { $cond: [{ $lt: ['$points', 0] }, { $abs: '$points' }, 0] } }
+            }
+          }
+        ],
+        projects: [
+          { $match: { project: { $ne: null } } },
+          { $group: { _id: '$project', points: { $sum: '$points' }, events: { $sum: 1 } } },
+          { $sort: { points: -1 } },
+          { $limit: 5 },
+          { $lookup: { from: 'projects', localField: '_id', foreignField: '_id', as: 'project' } },
+          { $project: { _id: 0, projectId: '$_id', title: { $first: '$project.title' }, points: 1, events: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Walk back from the current score so the series always ends where the user is now
+  const pointsByDay = new Map(facets.daily.map(row => [row._id, row.points]));
+  const windowPoints = facets.daily.reduce((sum, row) => sum + row.points, 0);
+  let score = Math.max(0, Math.min(100, user.trustScore - windowPoints));
+  const series = [];
+  for (let day = 0; day < days; day++) {
+    const date = new Date(since.getTime() + day * DAY_MS).toISOString().slice(0, 10);
+    const change = pointsByDay.get(date) || 0;
+    score = Math.max(0, Math.min(100, score + change));
+    series.push({ date, change, score });
+  }
+
+  const categories = Object.entries(ACTION_CATEGORIES).map(([category, actions]) => {
+    const rows = facets.actions.filter(row => actions.includes(row._id));
+    return {
+      category,
+      events: rows.reduce((sum, row) => sum + row.count, 0),
+      gained: rows.reduce((sum, row) => sum + row.gained, 0),
+      lost: rows.reduce((sum, row) => sum + row.lost, 0),
+      actions: rows.map(row => ({ action: row._id, events: row.count, gained: row.gained, lost: row.lost }))
+    };
+  });
+
+  // Share of the user's university peers with a lower score (ties count half)
+  let universityRank = null;
+  if (user.university) {
+    const peers = { university: user.university, isActive: true, _id: { $ne: user._id } };
+    const [total, below, equal] = await Promise.all([
+      User.countDocuments(peers),
+      User.countDocuments({ ...peers, trustScore: { $lt: user.trustScore } }),
+      User.countDocuments({ ...peers, trustScore: user.trustScore })
+    ]);
+    universityRank = {
+      university: user.university,
+      peers: total,
+      percentile: total ? Math.round(((below + equal / 2) / total) * 100) : null
+    };
+  }
+
+  return {
+    days,
+    since,
+    trustScore: user.trustScore,
+    netChange: windowPoints,
+    series,
+    categories,
+    topProjects: facets.projects,
+    universityRank
+  };
+};
+
 module.exports = mongoose.model('TrustLog', trustLogSchema); 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One document per version of a rule: edits add a new version instead of changing the
+// old one, so every ledger entry can point at the exact rule that scored it
+const trustRuleSchema = new mongoose.Schema({
+  // Scoring event, defined in services/trustService
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Fixed points per event; null for variable events where the caller supplies the points
+  points: {
+    type: Number,
+    default: null
+  },
+  variable: {
+    type: Boolean,
+    default: false
+  },
+  // Most events per user in a rolling 24 hours / ever (null = no cap)
+  dailyCap: {
+    type: Number,
+    min: [1, 'Daily cap must be at least 1'],
+    default: null
+  },
+  lifetimeCap: {
+    type: Number,
+    min: [1, 'Lifetime cap must be at least 1'],
+    default: null
+  },
+  // Minimum time between two events of this kind for the same user
+  cooldownMinutes: {
+    type: Number,
+    min: [0, 'Cooldown cannot be negative'],
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+trustRuleSchema.index({ action: 1, version: -1 }, { unique: true });
+
+// Static method to get the current (latest) version of a rule
+trustRuleSchema.statics.findCurrent = function(action) {
+  return this.findOne({ action }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('TrustRule', trustRuleSchema);
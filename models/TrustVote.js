@@ -4,7 +4,10 @@ const trustVoteSchema = new mongoose.Schema({
   target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
   vote: { type: Number, enum: [1, -1], required: true }, // 1 = upvote, -1 = downvote
-  createdAt: { type: Date, default: Date.now }
+  weight: { type: Number, default: 1 }, // voter's trust and account age when the vote was cast
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now } // last time the vote was cast or changed
 });
 trustVoteSchema.index({ voter: 1, target: 1, project: 1 }, { unique: true });
-module.exports = mongoose.model('TrustVote', trustVoteSchema); 
\ No newline at end of file
+trustVoteSchema.index({ updatedAt: -1 });
+module.exports = mongoose.model('TrustVote', trustVoteSchema);
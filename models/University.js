@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const normalizeName = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const universitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'University name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Email domains students register with, e.g. "mit.edu" (subdomains also match); a bare
+  // suffix like "edu" or "ac.in" catches every address under it
+  domains: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^([a-z0-9-]+\.)*[a-z]{2,}$/, 'Please enter a valid email domain']
+    }],
+    validate: [domains => domains.length > 0, 'At least one email domain is required']
+  },
+  country: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Lowercased name and aliases used for exact, case-insensitive lookups
+  searchNames: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+universitySchema.index({ domains: 1 }, { unique: true });
+universitySchema.index({ searchNames: 1 });
+
+// Pre-save middleware to keep lookup names in sync
+universitySchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.searchNames = [...new Set([this.name, ...(this.aliases || [])].map(normalizeName).filter(Boolean))];
+  }
+  next();
+});
+
+// Static method to find the university an email address belongs to (most specific domain wins)
+universitySchema.statics.findByEmail = async function(email) {
+  const domain = String(email || '').split('@')[1];
+  if (!domain) return null;
+
+  // "cs.mit.edu" -> ["cs.mit.edu", "mit.edu", "edu"]
+  const parts = domain.toLowerCase().split('.');
+  const candidates = parts.map((_, i) => parts.slice(i).join('.'));
+
+  const matches = await this.find({ domains: { $in: candidates }, isActive: true });
+  if (!matches.length) return null;
+
+  const specificity = (uni) => Math.max(...uni.domains.filter(d => candidates.includes(d)).map(d => d.length));
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0];
+};
+
+// Static method to resolve free text (canonical name or alias) to a university
+universitySchema.statics.resolve = function(text) {
+  const normalized = normalizeName(text);
+  if (!normalized) return Promise.resolve(null);
+  return this.findOne({ searchNames: normalized });
+};
+
+module.exports = mongoose.model('University', universitySchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Skill = require('./Skill');
+
+// Who can see a profile field: anyone, people at the same university, project collaborators, or no one
+const PRIVACY_LEVELS = ['everyone', 'university', 'collaborators', 'nobody'];
+
+// Profile fields with a visibility setting and their defaults
+const PRIVACY_DEFAULTS = {
+  email: 'collaborators',
+  bio: 'everyone',
+  skills: 'everyone',
+  github: 'everyone',
+  linkedin: 'everyone',
+  trustScore: 'everyone'
+};
+
+const privacySchema = new mongoose.Schema(
+  Object.fromEntries(Object.entries(PRIVACY_DEFAULTS).map(([field, level]) => [
+    field,
+    { type: String, enum: PRIVACY_LEVELS, default: level }
+  ])),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,20 +44,39 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Canonical university name, derived from the email domain at registration
   university: {
     type: String,
     required: [true, 'University is required'],
     trim: true
   },
+  universityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University'
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
     default: ''
   },
+  // Canonical skill names (see models/Skill); free text is kept when not in the taxonomy
   skills: [{
     type: String,
     trim: true
   }],
+  // Optional self-assessed proficiency for entries in skills
+  skillLevels: [{
+    _id: false,
+    skill: {
+      type: String,
+      required: true
+    },
+    level: {
+      type: String,
+      enum: Skill.PROFICIENCY_LEVELS,
+      required: true
+    }
+  }],
   github: {
     type: String,
     trim: true,
@@ -45,6 +87,7 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^https?:\/\/(www\.)?linkedin\.com\/in\/[a-zA-Z0-9-]+$/, 'Please enter a valid LinkedIn URL']
   },
+  // Cached total of the trust ledger (TrustLog); only services/trustService writes it
   trustScore: {
     type: Number,
     default: 30,
@@ -55,6 +98,31 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  // New address awaiting confirmation via the change-email link
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    select: false
+  },
+  pendingEmailRequestedAt: {
+    type: Date,
+    select: false
+  },
+  // Previous addresses, kept for admins investigating reports
+  emailHistory: {
+    type: [{
+      email: { type: String, required: true },
+      university: { type: String },
+      changedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -71,6 +139,69 @@ const userSchema = new mongoose.Schema({
   profilePicture: {
     type: String,
     default: ''
+  },
+  // Timestamp of the stored picture renditions (see utils/profilePicture)
+  profilePictureVersion: {
+    type: Number
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Self-service deletion: account is anonymized once deletionScheduledFor passes
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
+  // Marks the shared placeholder that content of deleted accounts is reassigned to
+  isTombstone: {
+    type: Boolean,
+    default: false
+  },
+  // Bumped whenever credentials change; JWTs carrying an older version are rejected
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Per-field profile visibility (applied by utils/userSerializer)
+  privacy: {
+    type: privacySchema,
+    default: () => ({})
   }
 }, {
   timestamps: true
@@ -80,8 +211,15 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 // userSchema.index({ email: 1 });
 userSchema.index({ university: 1 });
+userSchema.index({ universityId: 1 });
 userSchema.index({ skills: 1 });
 userSchema.index({ trustScore: -1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+// Full-text search (utils/search) over name and university
+userSchema.index(
+  { name: 'text', university: 'text' },
+  { name: 'user_text_search', weights: { name: 10, university: 3 } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -90,39 +228,74 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Invalidate previously issued tokens when an existing password changes
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Authenticated requests record activity at most this often
+const ACTIVE_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Method to record activity (access token use, refresh, personal access token use)
+userSchema.methods.markActive = function() {
+  if (this.lastActive && Date.now() - this.lastActive.getTime() < ACTIVE_TOUCH_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+  this.lastActive = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { lastActive: this.lastActive });
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update trust score
-userSchema.methods.updateTrustScore = function(points) {
-  this.trustScore = Math.max(0, Math.min(100, this.trustScore + points));
-  return this.save();
+// Method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
 };
 
-// Virtual for public profile (excludes sensitive data)
-userSchema.virtual('publicProfile').get(function() {
-  return {
-    _id: this._id,
-    name: this.name,
-    university: this.university,
-    bio: this.bio,
-    skills: this.skills,
-    github: this.github,
-    linkedin: this.linkedin,
-    trustScore: this.trustScore,
-    isEmailVerified: this.isEmailVerified,
-    profilePicture: this.profilePicture,
-    createdAt: this.createdAt
-  };
-});
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
+userSchema.statics.PRIVACY_LEVELS = PRIVACY_LEVELS;
+userSchema.statics.PRIVACY_DEFAULTS = PRIVACY_DEFAULTS;
+
+// Static method to get (or create) the shared "Deleted user" identity
+userSchema.statics.getTombstone = async function() {
+  const email = 'deleted-user@tombstone.uniconnect.dev';
+  const existing = await this.findOne({ email, isTombstone: true });
+  if (existing) return existing;
+
+  return this.create({
+    name: 'Deleted user',
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    university: 'N/A',
+    trustScore: 0,
+    isActive: false,
+    isTombstone: true
+  });
+};
 
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', { virtuals: true });
@@ -1,11 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { protect, admin } = require('../middleware/auth');
 const User = require('../models/User');
 const Project = require('../models/Project');
 const TrustLog = require('../models/TrustLog');
+const TrustFlag = require('../models/TrustFlag');
 const Report = require('../models/Report');
 const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const University = require('../models/University');
+const { resolveUniversityFilter, reconcileUserUniversities } = require('../utils/universities');
+const Skill = require('../models/Skill');
+const { textSearch, prefixRegex, buildHighlights } = require('../utils/search');
+const { renameSkill, migrateSkills } = require('../utils/skills');
+const { previewDecay } = require('../services/trustDecayService');
+const { DEFAULT_TRUST_RULES, recordTrustEvent, recomputeTrustScore, recomputeAllTrustScores, migrateToLedger, voidVote, listTrustRules, getTrustRuleHistory, updateTrustRule } = require('../services/trustService');
 
 const router = express.Router();
 
@@ -78,28 +89,32 @@ router.get('/users', async (req, res) => {
       search, 
       status, 
       university,
-      sort = 'createdAt',
+      sort,
       order = 'desc'
     } = req.query;
 
     const query = {};
     
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { university: { $regex: search, $options: 'i' } }
-      ];
+    // Anything that looks like an email is matched as an email prefix, otherwise full-text
+    const textQuery = search && !search.includes('@') ? textSearch(search) : null;
+    if (textQuery) {
+      Object.assign(query, textQuery.filter);
+    } else if (search) {
+      query.email = prefixRegex(search);
     }
     
     if (status === 'active') query.isActive = true;
     if (status === 'inactive') query.isActive = false;
-    if (university) query.university = { $regex: university, $options: 'i' };
+    if (university) query.university = await resolveUniversityFilter(university);
 
-    const sortOptions = {};
-    sortOptions[sort] = order === 'desc' ? -1 : 1;
+    let sortOptions = {};
+    if (textQuery && !sort) {
+      sortOptions = textQuery.sort;
+    } else {
+      sortOptions[sort || 'createdAt'] = order === 'desc' ? -1 : 1;
+    }
 
-    const users = await User.find(query)
+    const users = await User.find(query, textQuery && textQuery.projection)
       .select('-password')
       .sort(sortOptions)
       .limit(parseInt(limit))
@@ -109,7 +124,9 @@ router.get('/users', async (req, res) => {
 
     res.json({
       success: true,
-      users,
+      users: textQuery
+        ? users.map(user => ({ ...user.toObject(), highlights: buildHighlights(user, ['name', 'university'], textQuery.terms) }))
+        : users,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -137,26 +154,28 @@ router.get('/projects', async (req, res) => {
       search, 
       privacy, 
       status,
-      sort = 'createdAt',
+      sort,
       order = 'desc'
     } = req.query;
 
     const query = { isDeleted: false };
     
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    const textQuery = textSearch(search);
+    if (textQuery) {
+      Object.assign(query, textQuery.filter);
     }
     
     if (privacy) query.privacy = privacy;
     if (status) query.status = status;
 
-    const sortOptions = {};
-    sortOptions[sort] = order === 'desc' ? -1 : 1;
+    let sortOptions = {};
+    if (textQuery && !sort) {
+      sortOptions = textQuery.sort;
+    } else {
+      sortOptions[sort || 'createdAt'] = order === 'desc' ? -1 : 1;
+    }
 
-    const projects = await Project.find(query)
+    const projects = await Project.find(query, textQuery && textQuery.projection)
       .populate('owner', 'name email university')
       .populate('members.user', 'name email university')
       .sort(sortOptions)
@@ -167,7 +186,9 @@ router.get('/projects', async (req, res) => {
 
     res.json({
       success: true,
-      projects,
+      projects: textQuery
+        ? projects.map(project => ({ ...project.toObject(), highlights: buildHighlights(project, ['title', 'tags', 'description'], textQuery.terms) }))
+        : projects,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -188,6 +209,7 @@ router.get('/projects', async (req, res) => {
 // @desc    Adjust user trust score
 // @access  Private (Admin only)
 router.put('/users/:userId/trust-score', [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
   body('points').isInt({ min: -100, max: 100 }).withMessage('Points must be between -100 and 100'),
   body('reason').trim().isLength({ min: 5, max: 200 }).withMessage('Reason must be between 5 and 200 characters')
 ], async (req, res) => {
@@ -212,21 +234,19 @@ router.put('/users/:userId/trust-score', [
     }
 
     // Log admin trust adjustment
-    await TrustLog.logActivity(
-      user._id,
-      'admin_adjustment',
+    const result = await recordTrustEvent(user._id, 'admin_adjustment', {
       points,
-      `Admin adjustment: ${reason}`,
-      { 
+      description: `Admin adjustment: ${reason}`,
+      metadata: {
         adjustedBy: req.user._id,
         reason: reason
       }
-    );
+    });
 
     res.json({
       success: true,
       message: 'Trust score adjusted successfully',
-      newTrustScore: user.trustScore + points
+      newTrustScore: (result && result.trustScore) ?? user.trustScore
     });
   } catch (error) {
     console.error('Adjust trust score error:', error);
@@ -237,10 +257,131 @@ router.put('/users/:userId/trust-score', [
   }
 });
 
+// @route   GET /api/admin/users/:userId/trust-stats
+// @desc    Get trust statistics for any user
+// @access  Private (Admin only)
+router.get('/users/:userId/trust-stats', [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const trustStats = await TrustLog.getTrustStats(req.params.userId, parseInt(req.query.days) || 30);
+
+    if (!trustStats) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      trustStats
+    });
+  } catch (error) {
+    console.error('Get user trust stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/trust/recompute
+// @desc    Rebuild a user's trust score from their trust ledger
+// @access  Private (Admin only)
+router.post('/users/:userId/trust/recompute', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await recomputeTrustScore(req.params.userId);
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trust score recomputed successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Recompute trust score error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/trust/recompute
+// @desc    Rebuild every user's trust score from the trust ledger
+// @access  Private (Admin only)
+router.post('/trust/recompute', async (req, res) => {
+  try {
+    const result = await recomputeAllTrustScores();
+
+    res.json({
+      success: true,
+      message: `Recomputed ${result.scanned} trust scores (${result.drifted} had drifted)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Recompute trust scores error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/trust/migrate
+// @desc    Move existing trust scores and peer votes onto the trust ledger
+// @access  Private (Admin only)
+router.post('/trust/migrate', async (req, res) => {
+  try {
+    const result = await migrateToLedger();
+
+    res.json({
+      success: true,
+      message: `Migrated ${result.scanned} users to the trust ledger`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Migrate trust ledger error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
 // @route   PUT /api/admin/users/:userId/status
 // @desc    Toggle user account status
 // @access  Private (Admin only)
 router.put('/users/:userId/status', [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
   body('isActive').isBoolean().withMessage('isActive must be a boolean')
 ], async (req, res) => {
   try {
@@ -266,6 +407,11 @@ router.put('/users/:userId/status', [
     user.isActive = isActive;
     await user.save();
 
+    // Deactivated accounts are signed out everywhere
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, 'admin', { revokedBy: req.user._id });
+    }
+
     res.json({
       success: true,
       message: `User account ${isActive ? 'activated' : 'deactivated'} successfully`
@@ -279,11 +425,97 @@ router.put('/users/:userId/status', [
   }
 });
 
-// @route   PUT /api/admin/users/:userId/role
-// @desc    Change user role
+// @route   GET /api/admin/users/:userId/email-history
+// @desc    Get a user's current and previous email addresses
 // @access  Private (Admin only)
-router.put('/users/:userId/role', [
-  body('role').isIn(['user', 'admin']).withMessage('Role must be user or admin')
+router.get('/users/:userId/email-history', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('name email university +pendingEmail +emailHistory');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        university: user.university,
+        pendingEmail: user.pendingEmail
+      },
+      emailHistory: [...user.emailHistory].sort((a, b) => b.changedAt - a.changedAt)
+    });
+  } catch (error) {
+    console.error('Get email history error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:userId/sessions
+// @desc    List a user's active sessions
+// @access  Private (Admin only)
+router.get('/users/:userId/sessions', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('name email');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const sessions = await Session.getActiveSessions(user._id);
+
+    res.json({
+      success: true,
+      user,
+      sessions: sessions.map(session => session.summary)
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId/sessions
+// @desc    Revoke all of a user's sessions and personal access tokens
+// @access  Private (Admin only)
+router.delete('/users/:userId/sessions', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -295,7 +527,6 @@ router.put('/users/:userId/role', [
       });
     }
 
-    const { role } = req.body;
     const user = await User.findById(req.params.userId);
     
     if (!user) {
@@ -305,15 +536,17 @@ router.put('/users/:userId/role', [
       });
     }
 
-    user.role = role;
-    await user.save();
+    const revoked = await Session.revokeAllForUser(user._id, 'admin', { revokedBy: req.user._id });
+    const revokedTokens = await PersonalAccessToken.revokeAllForUser(user._id, 'admin');
 
     res.json({
       success: true,
-      message: `User role changed to ${role} successfully`
+      message: 'All sessions and personal access tokens revoked successfully',
+      revoked,
+      revokedTokens
     });
   } catch (error) {
-    console.error('Change user role error:', error);
+    console.error('Revoke user sessions error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error' 
@@ -321,30 +554,880 @@ router.put('/users/:userId/role', [
   }
 });
 
-// @route   DELETE /api/admin/projects/:projectId
-// @desc    Delete project (admin override)
+// @route   DELETE /api/admin/users/:userId/sessions/:sessionId
+// @desc    Revoke one of a user's sessions
 // @access  Private (Admin only)
-router.delete('/projects/:projectId', async (req, res) => {
+router.delete('/users/:userId/sessions/:sessionId', [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
   try {
-    const project = await Project.findById(req.params.projectId);
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.userId });
     
-    if (!project) {
+    if (!session || !session.isActive()) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Project not found' 
+        message: 'Session not found' 
       });
     }
 
-    project.isDeleted = true;
-    project.status = 'cancelled';
-    await project.save();
+    await Session.revoke(session._id, 'admin', req.user._id);
 
     res.json({
       success: true,
-      message: 'Project deleted successfully'
+      message: 'Session revoked successfully'
     });
   } catch (error) {
-    console.error('Delete project error:', error);
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    List login lockouts and throttled accounts/IPs
+// @access  Private (Admin only)
+router.get('/lockouts', async (req, res) => {
+  try {
+    const { type, userId, status = 'locked', page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (userId) query.user = userId;
+    if (status === 'locked') query.lockedUntil = { $gt: new Date() };
+
+    const lockouts = await LoginThrottle.find(query)
+      .populate('user', 'name email university')
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await LoginThrottle.countDocuments(query);
+
+    res.json({
+      success: true,
+      lockouts: lockouts.map(entry => ({
+        ...entry.toObject(),
+        isLocked: entry.isLocked()
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:lockoutId
+// @desc    Clear a lockout so logins are accepted again
+// @access  Private (Admin only)
+router.delete('/lockouts/:lockoutId', [
+  param('lockoutId').isMongoId().withMessage('Invalid lockout ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const lockout = await LoginThrottle.findByIdAndDelete(req.params.lockoutId);
+    
+    if (!lockout) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Lockout not found' 
+      });
+    }
+
+    console.log(`Admin ${req.user._id} cleared login lockout ${lockout.key}`);
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change user role
+// @access  Private (Admin only)
+router.put('/users/:userId/role', [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(['user', 'admin']).withMessage('Role must be user or admin')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { role } = req.body;
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `User role changed to ${role} successfully`
+    });
+  } catch (error) {
+    console.error('Change user role error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/admin/projects/:projectId
+// @desc    Delete project (admin override)
+// @access  Private (Admin only)
+router.delete('/projects/:projectId', async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+    
+    if (!project) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Project not found' 
+      });
+    }
+
+    project.isDeleted = true;
+    project.status = 'cancelled';
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/universities
+// @desc    List universities in the registry
+// @access  Private (Admin only)
+router.get('/universities', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+
+    const universities = await University.find(query).sort({ name: 1 });
+
+    // Attach user counts per university
+    const counts = await User.aggregate([
+      { $match: { universityId: { $in: universities.map(u => u._id) } } },
+      { $group: { _id: '$universityId', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      universities: universities.map(university => ({
+        ...university.toObject(),
+        userCount: countMap.get(university._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get universities error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/universities
+// @desc    Add a university to the registry
+// @access  Private (Admin only)
+router.post('/universities', [
+  body('name').trim().isLength({ min: 2, max: 150 }).withMessage('Name must be between 2 and 150 characters'),
+  body('domains').isArray({ min: 1 }).withMessage('At least one email domain is required'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('country').optional().trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { name, domains, aliases, country } = req.body;
+
+    const university = await University.create({
+      name,
+      domains,
+      aliases: aliases || [],
+      country
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'University created successfully',
+      university
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.code === 11000 ? 'A university with this name or domain already exists' : error.message 
+      });
+    }
+    console.error('Create university error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/universities/:universityId
+// @desc    Update a university (renames propagate to its users)
+// @access  Private (Admin only)
+router.put('/universities/:universityId', [
+  param('universityId').isMongoId().withMessage('Invalid university ID'),
+  body('name').optional().trim().isLength({ min: 2, max: 150 }).withMessage('Name must be between 2 and 150 characters'),
+  body('domains').optional().isArray({ min: 1 }).withMessage('At least one email domain is required'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('country').optional().trim(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const university = await University.findById(req.params.universityId);
+    
+    if (!university) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'University not found' 
+      });
+    }
+
+    const { name, domains, aliases, country, isActive } = req.body;
+    const previousName = university.name;
+
+    if (name) university.name = name;
+    if (domains) university.domains = domains;
+    if (aliases) university.aliases = aliases;
+    if (country !== undefined) university.country = country;
+    if (isActive !== undefined) university.isActive = isActive;
+
+    await university.save();
+
+    // Keep the denormalized name on users and their projects in sync
+    if (university.name !== previousName) {
+      await User.updateMany({ universityId: university._id }, { university: university.name });
+      await Project.updateMany({ university: previousName }, { university: university.name });
+    }
+
+    res.json({
+      success: true,
+      message: 'University updated successfully',
+      university
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.code === 11000 ? 'A university with this name or domain already exists' : error.message 
+      });
+    }
+    console.error('Update university error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/admin/universities/:universityId
+// @desc    Remove a university with no users (deactivate it otherwise)
+// @access  Private (Admin only)
+router.delete('/universities/:universityId', [
+  param('universityId').isMongoId().withMessage('Invalid university ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const university = await University.findById(req.params.universityId);
+    
+    if (!university) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'University not found' 
+      });
+    }
+
+    const userCount = await User.countDocuments({ universityId: university._id });
+    if (userCount > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `University has ${userCount} users. Deactivate it instead of deleting.` 
+      });
+    }
+
+    await university.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'University deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete university error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/universities/reconcile
+// @desc    Match users' free-text university values to registry entries
+// @access  Private (Admin only)
+router.post('/universities/reconcile', async (req, res) => {
+  try {
+    const result = await reconcileUserUniversities();
+
+    res.json({
+      success: true,
+      message: `Matched ${result.matched} of ${result.scanned} users to registry entries`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Reconcile universities error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/skills
+// @desc    List skills in the taxonomy
+// @access  Private (Admin only)
+router.get('/skills', async (req, res) => {
+  try {
+    const { category, status } = req.query;
+
+    const query = {};
+    if (category) query.category = category;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+
+    const skills = await Skill.find(query).sort({ name: 1 });
+
+    // Attach how many users list each skill
+    const counts = await User.aggregate([
+      { $unwind: '$skills' },
+      { $match: { skills: { $in: skills.map(s => s.name) } } },
+      { $group: { _id: '$skills', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      skills: skills.map(skill => ({
+        ...skill.toObject(),
+        userCount: countMap.get(skill.name) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/skills
+// @desc    Add a skill to the taxonomy
+// @access  Private (Admin only)
+router.post('/skills', [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('category').optional().isIn(Skill.CATEGORIES).withMessage('Invalid category')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { name, aliases, category } = req.body;
+
+    const skill = await Skill.create({
+      name,
+      aliases: aliases || [],
+      category
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill created successfully',
+      skill
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.code === 11000 ? 'A skill with this name already exists' : error.message 
+      });
+    }
+    console.error('Create skill error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/skills/:skillId
+// @desc    Update a skill (renames propagate to users and projects)
+// @access  Private (Admin only)
+router.put('/skills/:skillId', [
+  param('skillId').isMongoId().withMessage('Invalid skill ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('category').optional().isIn(Skill.CATEGORIES).withMessage('Invalid category'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const skill = await Skill.findById(req.params.skillId);
+    
+    if (!skill) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Skill not found' 
+      });
+    }
+
+    const { name, aliases, category, isActive } = req.body;
+    const previousName = skill.name;
+
+    if (name) skill.name = name;
+    if (aliases) skill.aliases = aliases;
+    if (category) skill.category = category;
+    if (isActive !== undefined) skill.isActive = isActive;
+
+    await skill.save();
+
+    if (skill.name !== previousName) {
+      await renameSkill(previousName, skill.name);
+    }
+
+    res.json({
+      success: true,
+      message: 'Skill updated successfully',
+      skill
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.code === 11000 ? 'A skill with this name already exists' : error.message 
+      });
+    }
+    console.error('Update skill error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/admin/skills/:skillId
+// @desc    Remove a skill from the taxonomy (stored values stay as free text)
+// @access  Private (Admin only)
+router.delete('/skills/:skillId', [
+  param('skillId').isMongoId().withMessage('Invalid skill ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const skill = await Skill.findByIdAndDelete(req.params.skillId);
+    
+    if (!skill) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Skill not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Skill deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/skills/migrate
+// @desc    Map existing free-text skills and tech stacks to canonical skills
+// @access  Private (Admin only)
+router.post('/skills/migrate', async (req, res) => {
+  try {
+    const result = await migrateSkills({ seed: req.body.seed !== false });
+
+    res.json({
+      success: true,
+      message: `Updated ${result.users.updated} users and ${result.projects.updated} projects`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Migrate skills error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/admin/trust/decay/preview
+// @desc    Preview the next inactivity decay run under the current policy or overrides
+//          (decay is enabled by activating the inactivity_decay trust rule)
+// @access  Private (Admin only)
+router.post('/trust/decay/preview', [
+  body('graceDays').optional().isInt({ min: 1, max: 3650 }).withMessage('Grace days must be between 1 and 3650'),
+  body('periodDays').optional().isInt({ min: 1, max: 365 }).withMessage('Period days must be between 1 and 365'),
+  body('pointsPerPeriod').optional().isInt({ min: 1, max: 100 }).withMessage('Points per period must be between 1 and 100'),
+  body('warningDays').optional().isInt({ min: 0, max: 365 }).withMessage('Warning days must be between 0 and 365')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const overrides = {};
+    for (const field of ['graceDays', 'periodDays', 'pointsPerPeriod', 'warningDays']) {
+      if (req.body[field] !== undefined) overrides[field] = parseInt(req.body[field]);
+    }
+
+    const preview = await previewDecay(overrides);
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('Preview trust decay error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/trust-rules
+// @desc    List the current version of every trust rule
+// @access  Private (Admin only)
+router.get('/trust-rules', async (req, res) => {
+  try {
+    const rules = await listTrustRules();
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Get trust rules error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/trust-rules/:action/history
+// @desc    List every version of a trust rule
+// @access  Private (Admin only)
+router.get('/trust-rules/:action/history', async (req, res) => {
+  try {
+    if (!DEFAULT_TRUST_RULES[req.params.action]) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Trust rule not found' 
+      });
+    }
+
+    const versions = await getTrustRuleHistory(req.params.action);
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    console.error('Get trust rule history error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/trust-rules/:action
+// @desc    Update a trust rule (saved as a new version; past ledger entries keep theirs)
+// @access  Private (Admin only)
+router.put('/trust-rules/:action', [
+  body('points').optional().isInt({ min: -100, max: 100 }).withMessage('Points must be between -100 and 100'),
+  body('dailyCap').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Daily cap must be a positive integer or null'),
+  body('lifetimeCap').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Lifetime cap must be a positive integer or null'),
+  body('cooldownMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Cooldown must be between 0 and 10080 minutes'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('description').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Description must be between 1 and 200 characters'),
+  body('changeNote').optional().trim().isLength({ max: 200 }).withMessage('Change note cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    if (!DEFAULT_TRUST_RULES[req.params.action]) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Trust rule not found' 
+      });
+    }
+
+    const { points, dailyCap, lifetimeCap, cooldownMinutes, isActive, description, changeNote } = req.body;
+
+    const rule = await updateTrustRule(
+      req.params.action,
+      { points, dailyCap, lifetimeCap, cooldownMinutes, isActive, description },
+      { changedBy: req.user._id, changeNote }
+    );
+
+    res.json({
+      success: true,
+      message: `Trust rule updated to version ${rule.version}`,
+      rule
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This rule was changed by someone else, please reload and try again' 
+      });
+    }
+    console.error('Update trust rule error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/admin/trust-flags
+// @desc    Moderation queue of suspicious voting patterns
+// @access  Private (Admin only)
+router.get('/trust-flags', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open', type } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (type) query.type = type;
+
+    const flags = await TrustFlag.find(query)
+      .populate('users', 'name email trustScore createdAt')
+      .populate('votes', 'voter target project vote weight updatedAt')
+      .populate('projects', 'title')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await TrustFlag.countDocuments(query);
+
+    res.json({
+      success: true,
+      flags,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get trust flags error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/trust-flags/:flagId
+// @desc    Review a flag: dismiss it, or action it (optionally voiding the flagged votes)
+// @access  Private (Admin only)
+router.put('/trust-flags/:flagId', [
+  param('flagId').isMongoId().withMessage('Invalid flag ID'),
+  body('status').isIn(['dismissed', 'actioned']).withMessage('Status must be dismissed or actioned'),
+  body('voidVotes').optional().isBoolean().withMessage('voidVotes must be a boolean'),
+  body('adminNote').optional().trim().isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const flag = await TrustFlag.findById(req.params.flagId);
+
+    if (!flag) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Flag not found' 
+      });
+    }
+
+    if (flag.status !== 'open') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Flag has already been reviewed' 
+      });
+    }
+
+    const { status, voidVotes, adminNote } = req.body;
+
+    // Voided votes are deleted and their points withdrawn through the trust ledger
+    let votesVoided = 0;
+    if (status === 'actioned' && voidVotes) {
+      for (const voteId of flag.votes) {
+        const result = await voidVote(voteId, `Vote removed after review of flagged ${flag.type.replace('_', ' ')}`);
+        if (result) votesVoided += 1;
+      }
+    }
+
+    flag.status = status;
+    flag.adminNote = adminNote || '';
+    flag.reviewedBy = req.user._id;
+    flag.reviewedAt = new Date();
+    await flag.save();
+
+    res.json({
+      success: true,
+      message: `Flag ${status}`,
+      flag,
+      votesVoided
+    });
+  } catch (error) {
+    console.error('Review trust flag error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error' 
@@ -408,8 +1491,8 @@ router.get('/trust-logs', async (req, res) => {
 router.get('/reports', protect, admin, async (req, res) => {
   try {
     const reports = await Report.find()
-      .populate('reportedUser', 'name email')
-      .populate('reportedBy', 'name email')
+      .populate('reportedUser', 'name email emailHistory')
+      .populate('reportedBy', 'name email emailHistory')
       .populate('project', 'title')
       .sort({ status: 1, createdAt: -1 });
     res.json({ reports });
@@ -1,30 +1,187 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const TrustLog = require('../models/TrustLog');
+const { protect, isTwoFactorRequired } = require('../middleware/auth');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { issueTokens, rotateRefreshToken } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendPasswordChangedEmail } = require('../utils/passwordReset');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { TWO_FACTOR_FIELDS, generateRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+const { decodeVerificationToken, sendVerificationEmail, getResendWaitMs } = require('../utils/emailVerification');
+const { registerRoute, loginRoute, twoFactorLoginRoute, toAuthUser } = require('../services/authService');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
-
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', [
-  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
-  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('university').trim().notEmpty().withMessage('University is required'),
-  body('skills').optional().isArray().withMessage('Skills must be an array'),
-  body('github').optional().isURL().withMessage('Please enter a valid GitHub URL'),
-  body('linkedin').optional().isURL().withMessage('Please enter a valid LinkedIn URL')
+router.post('/register', registerRoute);
+
+// @route   POST /api/auth/login
+// @desc    Login user (returns a challenge when two-factor auth is enabled)
+// @access  Public
+router.post('/login', loginRoute);
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @access  Public (requires login challenge token)
+router.post('/login/2fa', twoFactorLoginRoute);
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    res.json({
+      success: true,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        university: user.university,
+        bio: user.bio,
+        skills: user.skills,
+        skillLevels: user.skillLevels,
+        github: user.github,
+        linkedin: user.linkedin,
+        trustScore: user.trustScore,
+        isEmailVerified: user.isEmailVerified,
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled,
+        deletionScheduledFor: user.deletionScheduledFor,
+        profilePicture: user.profilePicture,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public (requires refresh token)
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { user, tokens, error } = await rotateRefreshToken(req.body.refreshToken, req);
+    if (error) {
+      return res.status(401).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during token refresh' 
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    // Revoke the session so its access and refresh tokens stop working
+    await Session.revoke(req.sessionId, 'logout', req.user._id);
+
+    // Update last active
+    await User.findByIdAndUpdate(req.user._id, {
+      lastActive: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during logout' 
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.summary,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'user_revoked', {
+      exceptSessionId: req.sessionId,
+      revokedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', [
+  protect,
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -36,87 +193,177 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, university, bio, skills, github, linkedin } = req.body;
-
-    // Allow all common student/university email domains
-    const allowedStudentDomains = [
-      '.edu',
-      '.ac.in',
-      '.ac.uk',
-      '.edu.au',
-      // add more as needed
-    ];
-    const emailDomain = email.split('@')[1] || '';
-    const isStudentEmail = allowedStudentDomains.some(domain => emailDomain.endsWith(domain));
-    if (!isStudentEmail) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please use your student/university email address to register.'
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    await Session.revoke(session._id, 'user_revoked', req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      current: session._id.toString() === req.sessionId
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get('/tokens', protect, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      tokens,
+      availableScopes: PersonalAccessToken.SCOPES
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token (the token is only shown once)
+// @access  Private
+router.post('/tokens', [
+  protect,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(PersonalAccessToken.SCOPES).withMessage('Invalid scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days').toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({ 
         success: false, 
-        message: 'User already exists with this email' 
+        errors: errors.array() 
       });
     }
 
-    // Create user
-    const user = await User.create({
+    const { name, scopes, expiresInDays = 90 } = req.body;
+
+    const { rawToken, doc } = await PersonalAccessToken.generate(req.user._id, {
       name,
-      email,
-      password,
-      university,
-      bio: bio || '',
-      skills: skills || [],
-      github: github || '',
-      linkedin: linkedin || '',
-      role: 'user'
-    });
-
-    // Log trust activity for account creation
-    await TrustLog.logActivity(
-      user._id,
-      'account_created',
-      TrustLog.getPointsForAction('account_created'),
-      'Account created successfully'
+      scopes,
+      expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Personal access token created. Copy it now; it will not be shown again.',
+      token: rawToken,
+      accessToken: doc
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:tokenId
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:tokenId', [
+  protect,
+  param('tokenId').isMongoId().withMessage('Invalid token ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const token = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.tokenId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'user_revoked' },
+      { new: true }
     );
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!token) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Token not found' 
+      });
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        university: user.university,
-        trustScore: user.trustScore,
-        isEmailVerified: user.isEmailVerified,
-        role: user.role
-      }
+      message: 'Token revoked successfully'
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Revoke access token error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error during registration' 
+      message: 'Server error' 
     });
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
-// @access  Public
-router.post('/login', [
-  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and return the provisioning URI
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm TOTP enrollment and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', [
+  protect,
+  body('code').notEmpty().withMessage('Authentication code is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -128,91 +375,306 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
 
-    // Check if user exists
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({ 
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Invalid credentials' 
+        message: 'Two-factor authentication is already enabled' 
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({ 
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Start two-factor setup first' 
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid authentication code' 
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  protect,
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid authentication code' 
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', [
+  protect,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ 
         success: false, 
-        message: 'Account is deactivated' 
+        message: 'Two-factor authentication is mandatory for admin accounts' 
       });
     }
 
-    // Check password
     const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid credentials' 
+        message: 'Invalid password or authentication code' 
       });
     }
 
-    // Update last active
-    user.lastActive = new Date();
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = undefined;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email address with a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = decodeVerificationToken(req.body.token);
+    } catch (tokenError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: tokenError.name === 'TokenExpiredError'
+          ? 'Verification link has expired. Please request a new one.'
+          : 'Invalid verification token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Token must belong to the account's current email address
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid verification token' 
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        university: user.university,
-        trustScore: user.trustScore,
-        isEmailVerified: user.isEmailVerified,
-        role: user.role
-      }
+      message: 'Email verified successfully',
+      isEmailVerified: true
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Verify email error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error during login' 
+      message: 'Server error during email verification' 
     });
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link (throttled)
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.post('/resend-verification', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
-    
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email is already verified' 
+      });
+    }
+
+    const waitMs = getResendWaitMs(user);
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
     res.json({
       success: true,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        university: user.university,
-        bio: user.bio,
-        skills: user.skills,
-        github: user.github,
-        linkedin: user.linkedin,
-        trustScore: user.trustScore,
-        isEmailVerified: user.isEmailVerified,
-        role: user.role,
-        profilePicture: user.profilePicture,
-        createdAt: user.createdAt
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error sending verification email' 
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only active accounts can be recovered; respond the same either way
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
       }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Forgot password error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error' 
@@ -220,54 +682,122 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', protect, async (req, res) => {
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
-    
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.body.token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset token is invalid or has expired' 
+      });
+    }
+
+    // Consume the token and set the new password (pre-save hook hashes it)
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every session and revoke personal access tokens, which may have leaked too
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    await PersonalAccessToken.revokeAllForUser(user._id, 'password_changed');
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
     res.json({
       success: true,
-      token,
-      user: {
-        _id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        university: req.user.university,
-        trustScore: req.user.trustScore,
-        isEmailVerified: req.user.isEmailVerified,
-        role: req.user.role
-      }
+      message: 'Password has been reset. Please log in with your new password.'
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Reset password error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error during token refresh' 
+      message: 'Server error' 
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @route   PUT /api/auth/password
+// @desc    Change password (requires current password)
 // @access  Private
-router.post('/logout', protect, async (req, res) => {
+router.put('/password', [
+  protect,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
   try {
-    // Update last active
-    await User.findByIdAndUpdate(req.user._id, {
-      lastActive: new Date()
-    });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Current password is incorrect' 
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'New password must be different from the current password' 
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every session and revoke personal access tokens, then start a fresh session for this client
+    await Session.revokeAllForUser(user._id, 'password_changed', { revokedBy: user._id });
+    await PersonalAccessToken.revokeAllForUser(user._id, 'password_changed');
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
 
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Change password error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error during logout' 
+      message: 'Server error' 
     });
   }
 });
@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, param } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 const Message = require('../models/Message');
 const Project = require('../models/Project');
+const { withPrivacy, createUserSerializer } = require('../utils/userSerializer');
 const router = express.Router();
 
 // @route   GET /api/messages/:projectId
@@ -10,6 +11,7 @@ const router = express.Router();
 // @access  Private
 router.get('/:projectId', [
   protect,
+  requireScope('messages:read'),
   param('projectId').isMongoId().withMessage('Invalid project ID')
 ], async (req, res) => {
   try {
@@ -36,14 +38,16 @@ router.get('/:projectId', [
     }
 
     // Get messages with pagination
-    const messages = await Message.getProjectMessages(projectId, parseInt(page), parseInt(limit));
+    const messages = await Message.getProjectMessages(projectId, parseInt(page), parseInt(limit), withPrivacy('name email'));
     
     // Reverse the order to show oldest first
     const reversedMessages = messages.reverse();
 
+    const serialize = await createUserSerializer(req.user);
+
     res.json({
       success: true,
-      messages: reversedMessages,
+      messages: reversedMessages.map(message => ({ ...message, sender: serialize(message.sender) })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -64,6 +68,7 @@ router.get('/:projectId', [
 // @access  Private
 router.post('/:projectId', [
   protect,
+  requireScope('messages:write'),
   param('projectId').isMongoId().withMessage('Invalid project ID'),
   body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Message must be between 1 and 1000 characters')
 ], async (req, res) => {
@@ -100,11 +105,13 @@ router.post('/:projectId', [
     await message.save();
 
     // Populate sender info for the response
-    await message.populate('sender', 'name email');
+    await message.populate('sender', withPrivacy('name email'));
+
+    const serialize = await createUserSerializer(req.user);
 
     res.status(201).json({
       success: true,
-      message: message
+      message: { ...message.toObject(), sender: serialize(message.sender) }
     });
   } catch (error) {
     console.error('Error sending message:', error);
@@ -120,6 +127,7 @@ router.post('/:projectId', [
 // @access  Private
 router.put('/:messageId', [
   protect,
+  requireScope('messages:write'),
   param('messageId').isMongoId().withMessage('Invalid message ID'),
   body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Message must be between 1 and 1000 characters')
 ], async (req, res) => {
@@ -150,11 +158,13 @@ router.put('/:messageId', [
     message.editedAt = new Date();
 
     await message.save();
-    await message.populate('sender', 'name email');
+    await message.populate('sender', withPrivacy('name email'));
+
+    const serialize = await createUserSerializer(req.user);
 
     res.json({
       success: true,
-      message: message
+      message: { ...message.toObject(), sender: serialize(message.sender) }
     });
   } catch (error) {
     console.error('Error editing message:', error);
@@ -170,6 +180,7 @@ router.put('/:messageId', [
 // @access  Private
 router.delete('/:messageId', [
   protect,
+  requireScope('messages:write'),
   param('messageId').isMongoId().withMessage('Invalid message ID')
 ], async (req, res) => {
   try {
@@ -1,18 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { protect, canViewProject, canEditProject, projectOwner, hasSignedNDA, canViewProjectDetails } = require('../middleware/auth');
+const { protect, requireScope, canViewProject, canEditProject, projectOwner, hasSignedNDA, canViewProjectDetails } = require('../middleware/auth');
 const Project = require('../models/Project');
-const TrustLog = require('../models/TrustLog');
+const { BASE_SCORE, recordTrustEvent } = require('../services/trustService');
 const User = require('../models/User');
 const Report = require('../models/Report');
 const Notification = require('../models/Notification');
+const { resolveUniversityFilter } = require('../utils/universities');
+const { textSearch, buildHighlights } = require('../utils/search');
+const { normalizeSkillNames, resolveSkillFilter } = require('../utils/skills');
+const { recommendCollaborators, buildProjectFeed } = require('../services/recommendationService');
+const { normalizeFilters } = require('../services/savedSearchService');
+const SavedSearch = require('../models/SavedSearch');
+const { withPrivacy, createUserSerializer, serializeProjectUsers } = require('../utils/userSerializer');
 
 const router = express.Router();
 
 // @route   GET /api/projects
 // @desc    Get all projects (filtered by privacy and user access)
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requireScope('projects:read'), async (req, res) => {
   try {
     const { 
       search, 
@@ -22,7 +29,7 @@ router.get('/', protect, async (req, res) => {
       university, 
       page = 1, 
       limit = 20,
-      sort = 'createdAt',
+      sort,
       order = 'desc'
     } = req.query;
 
@@ -48,20 +55,10 @@ router.get('/', protect, async (req, res) => {
       ];
     }
 
-    if (search) {
-      const searchFilter = {
-        $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ]
-      };
-      // Merge search filter with existing filter
-      if (filter.$or) {
-        filter.$and = [filter.$or, searchFilter];
-        delete filter.$or;
-      } else {
-        Object.assign(filter, searchFilter);
-      }
+    // Full-text search over title, tags and description
+    const textQuery = textSearch(search);
+    if (textQuery) {
+      Object.assign(filter, textQuery.filter);
     }
 
     if (status && status !== 'all') {
@@ -69,25 +66,29 @@ router.get('/', protect, async (req, res) => {
     }
 
     if (techStack) {
-      const techArray = techStack.split(',').map(tech => tech.trim());
-      filter.techStack = { $in: techArray };
+      filter.techStack = { $in: await resolveSkillFilter(techStack) };
     }
 
+    // Projects belong to their owner's university
     if (university) {
-      filter.university = { $regex: university, $options: 'i' };
+      filter.university = await resolveUniversityFilter(university);
     }
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build sort object
-    const sortOptions = {};
-    sortOptions[sort] = order === 'desc' ? -1 : 1;
+    // Build sort object (searches are ranked by relevance unless a sort field is given)
+    let sortOptions = {};
+    if (textQuery && !sort) {
+      sortOptions = textQuery.sort;
+    } else {
+      sortOptions[sort || 'createdAt'] = order === 'desc' ? -1 : 1;
+    }
 
     // Get projects with pagination
-    const projects = await Project.find(filter)
-      .populate('owner', 'name university trustScore')
-      .populate('members.user', 'name university trustScore')
+    const projects = await Project.find(filter, textQuery && textQuery.projection)
+      .populate('owner', withPrivacy('name university trustScore'))
+      .populate('members.user', withPrivacy('name university trustScore'))
       .sort(sortOptions)
       .skip(skip)
       .limit(parseInt(limit));
@@ -110,8 +111,13 @@ router.get('/', protect, async (req, res) => {
     // Get total count for pagination
     const total = await Project.countDocuments(filter);
 
+    const serialize = await createUserSerializer(req.user);
+
     res.json({
-      projects: projectsWithHiddenDescriptions,
+      projects: projectsWithHiddenDescriptions.map(project => (textQuery ? {
+        ...serializeProjectUsers(project, serialize),
+        highlights: buildHighlights(project, ['title', 'tags', 'description'], textQuery.terms)
+      } : serializeProjectUsers(project, serialize))),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / parseInt(limit)),
@@ -129,7 +135,7 @@ router.get('/', protect, async (req, res) => {
 // @route   GET /api/projects/my-projects
 // @desc    Get user's projects (owned and member of)
 // @access  Private
-router.get('/my-projects', protect, async (req, res) => {
+router.get('/my-projects', protect, requireScope('projects:read'), async (req, res) => {
   try {
     const projects = await Project.find({
       isDeleted: false,
@@ -138,27 +144,217 @@ router.get('/my-projects', protect, async (req, res) => {
         { 'members.user': req.user._id }
       ]
     })
-    .populate('owner', 'name university trustScore')
-    .populate('members.user', 'name university trustScore')
+    .populate('owner', withPrivacy('name university trustScore'))
+    .populate('members.user', withPrivacy('name university trustScore'))
     .sort({ createdAt: -1 });
 
-    res.json({ projects });
+    const serialize = await createUserSerializer(req.user);
+
+    res.json({ projects: projects.map(project => serializeProjectUsers(project, serialize)) });
   } catch (error) {
     console.error('Error fetching user projects:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/projects/feed
+// @desc    Projects ranked for the current user (cursor paginated)
+// @access  Private
+router.get('/feed', protect, requireScope('projects:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const { projects, nextCursor } = await buildProjectFeed(req.user, { cursor: req.query.cursor, limit });
+
+    res.json({
+      success: true,
+      projects,
+      nextCursor
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Project feed error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// Validation shared by creating and updating a saved search
+const savedSearchValidation = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim().isLength({ min: 1, max: 60 }).withMessage('Name must be between 1 and 60 characters'),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('filters.search').optional().isString().isLength({ max: 100 }).withMessage('Search text cannot exceed 100 characters'),
+  body('filters.techStack').optional().isArray().withMessage('Tech stack must be an array'),
+  body('filters.status').optional().isIn(['active', 'completed', 'on-hold', 'cancelled']).withMessage('Invalid status'),
+  body('filters.university').optional().isString().withMessage('University must be a string'),
+  body('notify').optional().isBoolean().withMessage('notify must be a boolean'),
+  body('emailDigest').optional().isBoolean().withMessage('emailDigest must be a boolean')
+];
+
+// @route   GET /api/projects/saved-searches
+// @desc    List the current user's saved searches
+// @access  Private
+router.get('/saved-searches', protect, requireScope('projects:read'), async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      searches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/projects/saved-searches
+// @desc    Save a named project search (notifies about new matches)
+// @access  Private
+router.post('/saved-searches', [
+  protect,
+  ...savedSearchValidation(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You can save at most ${SavedSearch.MAX_PER_USER} searches. Delete one first.` 
+      });
+    }
+
+    const { name, filters, notify, emailDigest } = req.body;
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name,
+      filters: await normalizeFilters(filters),
+      notify,
+      emailDigest
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      search
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/projects/saved-searches/:searchId
+// @desc    Rename a saved search or change its filters and notifications
+// @access  Private
+router.put('/saved-searches/:searchId', [
+  protect,
+  ...savedSearchValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Saved search not found' 
+      });
+    }
+
+    const { name, filters, notify, emailDigest } = req.body;
+
+    if (name) search.name = name;
+    if (filters) search.filters = await normalizeFilters(filters);
+    if (notify !== undefined) search.notify = notify;
+    if (emailDigest !== undefined) search.emailDigest = emailDigest;
+
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      search
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/projects/saved-searches/:searchId
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/saved-searches/:searchId', protect, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Saved search not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
 // @route   POST /api/projects
 // @desc    Create a new project
 // @access  Private
 router.post('/', [
   protect,
+  requireScope('projects:write'),
   body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
   body('description').isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
   body('techStack').isArray().withMessage('Tech stack must be an array'),
   body('privacy').isIn(['public', 'private', 'draft']).withMessage('Invalid privacy setting'),
-  body('tags').optional().isArray().withMessage('Tags must be an array')
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('teamSize').optional().isInt({ min: 1, max: 50 }).withMessage('Team size must be between 1 and 50')
 ], async (req, res) => {
   try {
     console.log('Received project creation request:', req.body); // Debug log
@@ -173,23 +369,29 @@ router.post('/', [
       });
     }
 
-    const { title, description, techStack, privacy, tags } = req.body;
+    const { title, description, techStack, privacy, tags, teamSize } = req.body;
 
     const project = new Project({
       title,
       description,
-      techStack,
+      techStack: await normalizeSkillNames(techStack),
       privacy,
       tags: tags || [],
-      owner: req.user._id
+      teamSize,
+      owner: req.user._id,
+      university: req.user.university
     });
 
-    await project.populate('owner', 'name university trustScore');
+    await project.save();
+
+    await project.populate('owner', withPrivacy('name university trustScore'));
+
+    const serialize = await createUserSerializer(req.user);
 
     res.status(201).json({
       success: true,
       message: 'Project created successfully',
-      project
+      project: serializeProjectUsers(project, serialize)
     });
   } catch (error) {
     console.error('Create project error:', error);
@@ -201,7 +403,7 @@ router.post('/', [
 });
 
 // Dashboard route - get user stats and recent data
-router.get('/dashboard', protect, async (req, res) => {
+router.get('/dashboard', protect, requireScope('projects:read'), async (req, res) => {
   try {
     const userId = req.user._id;
 
@@ -212,7 +414,7 @@ router.get('/dashboard', protect, async (req, res) => {
         { owner: userId },
         { 'members.user': userId }
       ]
-    }).populate('owner', 'name university trustScore');
+    }).populate('owner', withPrivacy('name university trustScore'));
 
     // Get user's owned projects (excluding deleted ones)
     const ownedProjects = await Project.find({ 
@@ -234,7 +436,7 @@ router.get('/dashboard', protect, async (req, res) => {
       totalCollaborators: userProjects.reduce((acc, project) => {
         return acc + (project.members?.length || 0);
       }, 0),
-      trustScore: req.user.trustScore || 50
+      trustScore: req.user.trustScore ?? BASE_SCORE
     };
 
     // Get recent projects (last 5)
@@ -256,9 +458,11 @@ router.get('/dashboard', protect, async (req, res) => {
       }
     ];
 
+    const serialize = await createUserSerializer(req.user);
+
     res.json({
       stats,
-      recentProjects,
+      recentProjects: recentProjects.map(project => serializeProjectUsers(project, serialize)),
       recentActivities
     });
   } catch (error) {
@@ -270,9 +474,12 @@ router.get('/dashboard', protect, async (req, res) => {
 // @route   GET /api/projects/:projectId/basic
 // @desc    Get basic project info (public info for non-members)
 // @access  Private
-router.get('/:projectId/basic', protect, canViewProject, async (req, res) => {
+router.get('/:projectId/basic', protect, requireScope('projects:read'), canViewProject, async (req, res) => {
   try {
     const project = req.project;
+    await project.populate('owner', withPrivacy('name university trustScore'));
+
+    const serialize = await createUserSerializer(req.user);
     
     // Return only basic project information
     const basicInfo = {
@@ -284,12 +491,7 @@ router.get('/:projectId/basic', protect, canViewProject, async (req, res) => {
       techStack: project.techStack,
       tags: project.tags,
       createdAt: project.createdAt,
-      owner: {
-        _id: project.owner._id,
-        name: project.owner.name,
-        university: project.owner.university,
-        trustScore: project.owner.trustScore
-      },
+      owner: serialize(project.owner),
       memberCount: project.members.length,
       isOwner: project.owner._id.toString() === req.user._id.toString(),
       isMember: project.members.some(member => member.user._id.toString() === req.user._id.toString()),
@@ -314,19 +516,21 @@ router.get('/:projectId/basic', protect, canViewProject, async (req, res) => {
 // @route   GET /api/projects/:projectId
 // @desc    Get project by ID (members only)
 // @access  Private
-router.get('/:projectId', protect, canViewProjectDetails, hasSignedNDA, async (req, res) => {
+router.get('/:projectId', protect, requireScope('projects:read'), canViewProjectDetails, hasSignedNDA, async (req, res) => {
   try {
     // Increment view count
     await req.project.incrementView();
 
-    await req.project.populate('owner', 'name university trustScore');
-    await req.project.populate('members.user', 'name university trustScore');
-    await req.project.populate('joinRequests.user', 'name university trustScore');
-    await req.project.populate('tasks.assignedTo', 'name email');
+    await req.project.populate('owner', withPrivacy('name university trustScore'));
+    await req.project.populate('members.user', withPrivacy('name university trustScore'));
+    await req.project.populate('joinRequests.user', withPrivacy('name university trustScore'));
+    await req.project.populate('tasks.assignedTo', withPrivacy('name email'));
+
+    const serialize = await createUserSerializer(req.user);
 
     res.json({
       success: true,
-      project: req.project
+      project: serializeProjectUsers(req.project, serialize)
     });
   } catch (error) {
     console.error('Get project error:', error);
@@ -337,18 +541,49 @@ router.get('/:projectId', protect, canViewProjectDetails, hasSignedNDA, async (r
   }
 });
 
+// @route   GET /api/projects/:projectId/recommended-collaborators
+// @desc    Suggest users to invite, ranked by skills, university, trust and activity
+// @access  Private (Owner/Contributor)
+router.get('/:projectId/recommended-collaborators', protect, requireScope('projects:read'), canEditProject, async (req, res) => {
+  try {
+    if (req.project.isDeleted) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Project not found' 
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const recommendations = await recommendCollaborators(req.project, req.user, { limit });
+
+    res.json({
+      success: true,
+      recommendations
+    });
+  } catch (error) {
+    console.error('Recommend collaborators error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
 // @route   PUT /api/projects/:projectId
 // @desc    Update project
 // @access  Private (Owner/Contributor)
 router.put('/:projectId', [
   protect,
+  requireScope('projects:write'),
   canEditProject,
   body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
   body('description').optional().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
   body('techStack').optional().isArray().withMessage('Tech stack must be an array'),
   body('privacy').optional().isIn(['public', 'private', 'draft']).withMessage('Invalid privacy setting'),
   body('status').optional().isIn(['active', 'completed', 'on-hold', 'cancelled']).withMessage('Invalid status'),
-  body('tags').optional().isArray().withMessage('Tags must be an array')
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('teamSize').optional().isInt({ min: 1, max: 50 }).withMessage('Team size must be between 1 and 50')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -360,28 +595,36 @@ router.put('/:projectId', [
       });
     }
 
-    const { title, description, techStack, privacy, status, tags } = req.body;
+    const { title, description, techStack, privacy, status, tags, teamSize } = req.body;
     
     const updateFields = {};
     if (title) updateFields.title = title;
     if (description) updateFields.description = description;
-    if (techStack) updateFields.techStack = techStack;
+    if (techStack) updateFields.techStack = await normalizeSkillNames(techStack);
     if (privacy) updateFields.privacy = privacy;
     if (status) updateFields.status = status;
+
+    // findByIdAndUpdate skips save hooks, so stamp publishedAt here when going public
+    if (privacy === 'public' && req.project.privacy !== 'public') {
+      updateFields.publishedAt = new Date();
+    }
     if (tags) updateFields.tags = tags;
+    if (teamSize) updateFields.teamSize = teamSize;
 
     const project = await Project.findByIdAndUpdate(
       req.params.projectId,
       updateFields,
       { new: true, runValidators: true }
-    ).populate('owner', 'name university trustScore')
-     .populate('members.user', 'name university trustScore')
-     .populate('tasks.assignedTo', 'name email');
+    ).populate('owner', withPrivacy('name university trustScore'))
+     .populate('members.user', withPrivacy('name university trustScore'))
+     .populate('tasks.assignedTo', withPrivacy('name email'));
+
+    const serialize = await createUserSerializer(req.user);
 
     res.json({
       success: true,
       message: 'Project updated successfully',
-      project
+      project: serializeProjectUsers(project, serialize)
     });
   } catch (error) {
     console.error('Update project error:', error);
@@ -548,14 +791,10 @@ router.put('/:projectId/join-request/:requestId', [
       await project.addMember(request.user, 'viewer');
       
       // Log trust activity for joining project
-      const TrustLog = require('../models/TrustLog');
-      await TrustLog.logActivity(
-        request.user,
-        'project_joined',
-        TrustLog.getPointsForAction('project_joined'),
-        `Joined project: ${project.title}`,
-        { projectId: project._id }
-      );
+      await recordTrustEvent(request.user, 'project_joined', {
+        project: project._id,
+        description: `Joined project: ${project.title}`
+      });
     }
 
     await project.save();
@@ -578,6 +817,7 @@ router.put('/:projectId/join-request/:requestId', [
 // @access  Private (Owner/Contributor)
 router.post('/:projectId/tasks', [
   protect,
+  requireScope('tasks:write'),
   canEditProject,
   body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required'),
   body('description').optional().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
@@ -626,16 +866,19 @@ router.post('/:projectId/tasks', [
     // Populate the assignedTo field if it exists
     if (assignedTo) {
       const lastTask = project.tasks[project.tasks.length - 1];
-      await project.populate('tasks.assignedTo', 'name email');
+      await project.populate('tasks.assignedTo', withPrivacy('name email'));
     }
 
     // Always populate tasks.assignedTo for the response
-    await project.populate('tasks.assignedTo', 'name email');
+    await project.populate('tasks.assignedTo', withPrivacy('name email'));
+
+    const serialize = await createUserSerializer(req.user);
+    const createdTask = project.tasks[project.tasks.length - 1];
 
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
-      task: project.tasks[project.tasks.length - 1]
+      task: { ...createdTask.toObject(), assignedTo: serialize(createdTask.assignedTo) }
     });
   } catch (error) {
     console.error('Create task error:', error);
@@ -651,6 +894,7 @@ router.post('/:projectId/tasks', [
 // @access  Private (Owner/Contributor)
 router.put('/:projectId/tasks/:taskId', [
   protect,
+  requireScope('tasks:write'),
   canEditProject,
   body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
   body('description').optional().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
@@ -702,23 +946,22 @@ router.put('/:projectId/tasks/:taskId', [
 
     // Log trust activity for task completion
     if (isBeingCompleted && task.assignedTo) {
-      const TrustLog = require('../models/TrustLog');
-      await TrustLog.logActivity(
-        task.assignedTo,
-        'task_completed',
-        TrustLog.getPointsForAction('task_completed'),
-        `Completed task: ${task.title}`,
-        { projectId: project._id, taskId: task._id }
-      );
+      await recordTrustEvent(task.assignedTo, 'task_completed', {
+        project: project._id,
+        description: `Completed task: ${task.title}`,
+        metadata: { taskId: task._id }
+      });
     }
 
     // Always populate tasks.assignedTo for the response
-    await project.populate('tasks.assignedTo', 'name email');
+    await project.populate('tasks.assignedTo', withPrivacy('name email'));
+
+    const serialize = await createUserSerializer(req.user);
 
     res.json({
       success: true,
       message: 'Task updated successfully',
-      task: task
+      task: { ...task.toObject(), assignedTo: serialize(task.assignedTo) }
     });
   } catch (error) {
     console.error('Update task error:', error);
@@ -732,7 +975,7 @@ router.put('/:projectId/tasks/:taskId', [
 // @route   DELETE /api/projects/:projectId/tasks/:taskId
 // @desc    Delete a task from project
 // @access  Private (Owner/Contributor)
-router.delete('/:projectId/tasks/:taskId', protect, canEditProject, async (req, res) => {
+router.delete('/:projectId/tasks/:taskId', protect, requireScope('tasks:write'), canEditProject, async (req, res) => {
   try {
     const project = req.project;
     const taskId = req.params.taskId;
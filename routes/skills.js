@@ -0,0 +1,100 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Skill = require('../models/Skill');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+// @route   GET /api/skills
+// @desc    List active skills in the taxonomy (optionally by category)
+// @access  Public
+router.get('/', [
+  query('category').optional().isIn(Skill.CATEGORIES).withMessage('Invalid category')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const skills = await Skill.find(filter).select('name aliases category').sort({ name: 1 });
+
+    res.json({
+      success: true,
+      skills,
+      categories: Skill.CATEGORIES,
+      proficiencyLevels: Skill.PROFICIENCY_LEVELS
+    });
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/skills/autocomplete
+// @desc    Suggest skills whose name or alias starts with q
+// @access  Public
+router.get('/autocomplete', [
+  query('q').trim().notEmpty().withMessage('Query is required'),
+  query('limit').optional().isInt({ min: 1, max: 25 }).withMessage('Limit must be between 1 and 25')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const key = Skill.normalizeKey(req.query.q);
+    const limit = parseInt(req.query.limit) || 10;
+
+    if (!key) {
+      return res.json({ success: true, suggestions: [] });
+    }
+
+    // Keys keep symbols like + and #, so escape them for the prefix match
+    const prefix = new RegExp(`^${escapeRegex(key)}`);
+
+    const skills = await Skill.find({ searchKeys: prefix, isActive: true })
+      .select('name category +searchKeys')
+      .limit(50);
+
+    // Exact matches first, then shorter names
+    const suggestions = skills
+      .map(skill => ({
+        _id: skill._id,
+        name: skill.name,
+        category: skill.category,
+        exact: skill.searchKeys.includes(key)
+      }))
+      .sort((a, b) => (b.exact - a.exact) || (a.name.length - b.name.length) || a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map(({ exact, ...suggestion }) => suggestion);
+
+    res.json({
+      success: true,
+      suggestions
+    });
+  } catch (error) {
+    console.error('Skill autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
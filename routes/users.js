@@ -1,33 +1,61 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { protect, admin } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { protect, requireScope, admin } = require('../middleware/auth');
 const User = require('../models/User');
 const TrustLog = require('../models/TrustLog');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { registerRoute, loginRoute } = require('../services/authService');
+const { recordTrustEvent, castVote } = require('../services/trustService');
+const { resolveUniversityFilter, resolveEmailUniversity } = require('../utils/universities');
+const { textSearch, buildHighlights } = require('../utils/search');
+const { validateSkillEntry, normalizeSkillNames, normalizeSkillInput, resolveSkillFilter } = require('../utils/skills');
+const { decodeEmailChangeToken, sendEmailChangeRequest, sendEmailChangedNotice, getRequestWaitMs } = require('../utils/emailChange');
+const { buildDataExport, requestDeletion, cancelDeletion, GRACE_PERIOD_DAYS } = require('../services/accountService');
+const { MAX_PICTURE_BYTES, ALLOWED_MIME_TYPES, pictureUrl, getPictureUrls, storeProfilePicture, removeProfilePicture, readProfilePicture } = require('../utils/profilePicture');
+const { withPrivacy, serializeUser, createUserSerializer } = require('../utils/userSerializer');
+const multer = require('multer');
 const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
 const TrustVote = require('../models/TrustVote');
+const Endorsement = require('../models/Endorsement');
 const Project = require('../models/Project');
 
 const router = express.Router();
 
+// Profile pictures are held in memory and processed with sharp before storage
+const pictureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PICTURE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG, WebP or GIF images are allowed');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Mark legacy aliases of /api/auth endpoints as deprecated (RFC 8594 style headers)
+const deprecatedAlias = (successor) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+  next();
+};
+
 // @route   GET /api/users
 // @desc    Get all users (with filtering and pagination)
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requireScope('users:read'), async (req, res) => {
   try {
     const { search, role, university, skills, page = 1, limit = 20 } = req.query;
     
-    // Build filter object
-    const filter = {};
+    // Build filter object (never list the deleted-user placeholder)
+    const filter = { isTombstone: { $ne: true } };
     
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { university: { $regex: search, $options: 'i' } }
-      ];
+    // Full-text search on name and university (email is not searchable since it may be private)
+    const textQuery = textSearch(search);
+    if (textQuery) {
+      Object.assign(filter, textQuery.filter);
     }
     
     if (role) {
@@ -35,28 +63,34 @@ router.get('/', protect, async (req, res) => {
     }
     
     if (university) {
-      filter.university = { $regex: university, $options: 'i' };
+      filter.university = await resolveUniversityFilter(university);
     }
     
     if (skills) {
-      filter.skills = { $in: skills.split(',').map(skill => new RegExp(skill.trim(), 'i')) };
+      filter.skills = { $in: await resolveSkillFilter(skills) };
     }
 
     // Calculate pagination
     const skip = (page - 1) * limit;
     
     // Get users with pagination
-    const users = await User.find(filter)
+    const users = await User.find(filter, textQuery && textQuery.projection)
       .select('-password')
-      .sort({ createdAt: -1 })
+      .sort(textQuery ? textQuery.sort : { createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
     
     // Get total count for pagination
     const total = await User.countDocuments(filter);
+
+    const serialize = await createUserSerializer(req.user);
     
     res.json({
-      users,
+      users: users.map(user => (textQuery ? {
+        ...serialize(user),
+        searchScore: user.get('searchScore'),
+        highlights: buildHighlights(user, ['name', 'university'], textQuery.terms)
+      } : serialize(user))),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -74,13 +108,15 @@ router.get('/', protect, async (req, res) => {
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
-router.get('/profile', protect, async (req, res) => {
+router.get('/profile', protect, requireScope('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
+    const profile = serializeUser(user, req.user);
+    profile.endorsements = await Endorsement.summarize(user._id, user.skills);
     
     res.json({
       success: true,
-      user: user.publicProfile
+      user: profile
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -98,8 +134,8 @@ router.put('/profile', [
   protect,
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
-  body('university').optional().trim().notEmpty().withMessage('University is required'),
   body('skills').optional().isArray().withMessage('Skills must be an array'),
+  body('skills.*').custom(validateSkillEntry),
   body('github').optional().isURL().withMessage('Please enter a valid GitHub URL'),
   body('linkedin').optional().isURL().withMessage('Please enter a valid LinkedIn URL')
 ], async (req, res) => {
@@ -114,6 +150,21 @@ router.put('/profile', [
     }
 
     const { name, bio, university, skills, github, linkedin } = req.body;
+
+    if (req.body.email !== undefined && req.body.email !== req.user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Use POST /api/users/email/change to change your email address' 
+      });
+    }
+
+    // University is locked to the registry entry matching the account's email domain
+    if (university !== undefined && university !== req.user.university) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'University is determined by your email domain and cannot be changed' 
+      });
+    }
     
     // Get current user data to check if profile was previously incomplete
     const currentUser = await User.findById(req.user._id);
@@ -122,8 +173,7 @@ router.put('/profile', [
     const updateFields = {};
     if (name) updateFields.name = name;
     if (bio !== undefined) updateFields.bio = bio;
-    if (university) updateFields.university = university;
-    if (skills) updateFields.skills = skills;
+    if (skills) Object.assign(updateFields, await normalizeSkillInput(skills));
     if (github !== undefined) updateFields.github = github;
     if (linkedin !== undefined) updateFields.linkedin = linkedin;
 
@@ -135,13 +185,9 @@ router.put('/profile', [
 
     // Log trust activity for profile completion if this is the first time
     if (wasProfileIncomplete && (bio || skills?.length || github || linkedin)) {
-      const TrustLog = require('../models/TrustLog');
-      await TrustLog.logActivity(
-        req.user._id,
-        'profile_completed',
-        TrustLog.getPointsForAction('profile_completed'),
-        'Profile completed with additional information'
-      );
+      await recordTrustEvent(req.user._id, 'profile_completed', {
+        description: 'Profile completed with additional information'
+      });
       
       // Refresh user data to get updated trust score
       await user.reload();
@@ -157,12 +203,14 @@ router.put('/profile', [
         university: user.university,
         bio: user.bio,
         skills: user.skills,
+        skillLevels: user.skillLevels,
         github: user.github,
         linkedin: user.linkedin,
         trustScore: user.trustScore,
         isEmailVerified: user.isEmailVerified,
         role: user.role,
         profilePicture: user.profilePicture,
+        privacy: user.privacy,
         createdAt: user.createdAt
       }
     });
@@ -176,32 +224,46 @@ router.put('/profile', [
 });
 
 // @route   GET /api/users/search
-// @desc    Search users by skills or university
+// @desc    Search users by skills, endorsed skills or university
 // @access  Private
-router.get('/search', protect, async (req, res) => {
+router.get('/search', protect, requireScope('users:read'), async (req, res) => {
   try {
-    const { skills, university, limit = 10 } = req.query;
+    const { skills, endorsed, minEndorsementScore = 0, university, limit = 10 } = req.query;
     
     const query = { isActive: true };
     
     if (skills) {
-      const skillsArray = skills.split(',').map(skill => skill.trim());
-      query.skills = { $in: skillsArray };
+      query.skills = { $in: await resolveSkillFilter(skills) };
+    }
+
+    // Users endorsed for every listed skill (weighted score per skill >= minEndorsementScore)
+    if (endorsed) {
+      const endorsedSkills = await resolveSkillFilter(endorsed);
+      query._id = { $in: await Endorsement.findEndorseeIds(endorsedSkills, parseFloat(minEndorsementScore) || 0) };
+      query.$and = [{ skills: { $all: endorsedSkills } }];
     }
     
     if (university) {
-      query.university = { $regex: university, $options: 'i' };
+      query.university = await resolveUniversityFilter(university);
     }
 
     const users = await User.find(query)
-      .select('name university skills trustScore isEmailVerified')
+      .select(withPrivacy('name university skills skillLevels trustScore isEmailVerified profilePicture'))
       .limit(parseInt(limit))
       .sort({ trustScore: -1 });
 
+    const serialize = await createUserSerializer(req.user);
+    let results = users.map(serialize);
+
+    // Matching on endorsements must not reveal skills the viewer cannot see
+    if (endorsed) {
+      results = results.filter(user => user.skills);
+    }
+
     res.json({
       success: true,
-      users,
-      count: users.length
+      users: results,
+      count: results.length
     });
   } catch (error) {
     console.error('Search users error:', error);
@@ -245,8 +307,19 @@ router.get('/trust-history', protect, async (req, res) => {
 // @route   GET /api/users/trust-stats
 // @desc    Get user's trust statistics
 // @access  Private
-router.get('/trust-stats', protect, async (req, res) => {
+router.get('/trust-stats', protect, [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { days = 30 } = req.query;
     
     // Ensure userId is a valid ObjectId
@@ -285,10 +358,445 @@ router.get('/notifications', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/email/change
+// @desc    Request an email change (confirmed from the new address)
+// @access  Private
+router.post('/email/change', [
+  protect,
+  body('newEmail').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { newEmail, password } = req.body;
+    const user = await User.findById(req.user._id).select('+password +pendingEmailRequestedAt');
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password is incorrect' 
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'New email must be different from the current email' 
+      });
+    }
+
+    // Same domain check as registration (generic student domains keep the current university)
+    const university = await resolveEmailUniversity(newEmail, user.university);
+    if (!university) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please use a student/university email address registered with UniConnect.' 
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email is already in use' 
+      });
+    }
+
+    const waitMs = getRequestWaitMs(user);
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${retryAfter} seconds before requesting another email change`,
+        retryAfter
+      });
+    }
+
+    await sendEmailChangeRequest(user, newEmail);
+
+    user.pendingEmail = newEmail;
+    user.pendingEmailRequestedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `A confirmation link has been sent to ${newEmail}`,
+      pendingEmail: newEmail,
+      university: university.university
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/users/email/confirm
+// @desc    Confirm an email change with the token sent to the new address
+// @access  Public
+router.post('/email/confirm', [
+  body('token').notEmpty().withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = decodeEmailChangeToken(req.body.token);
+    } catch (tokenError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Confirmation link is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findById(decoded.id).select('+pendingEmail +emailHistory');
+
+    // Token must match the current address and the latest pending request
+    if (!user || user.email !== decoded.email || user.pendingEmail !== decoded.newEmail) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Confirmation link is invalid or has expired' 
+      });
+    }
+
+    // Re-check in case the registry or other accounts changed since the request
+    const university = await resolveEmailUniversity(decoded.newEmail, user.university);
+    if (!university) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This email domain is no longer accepted' 
+      });
+    }
+
+    if (await User.exists({ email: decoded.newEmail })) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email is already in use' 
+      });
+    }
+
+    const oldEmail = user.email;
+
+    user.emailHistory.push({ email: oldEmail, university: user.university, changedAt: new Date() });
+    user.email = decoded.newEmail;
+    user.university = university.university;
+    user.universityId = university.universityId;
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.pendingEmail = undefined;
+    user.pendingEmailRequestedAt = undefined;
+    await user.save();
+
+    await Project.syncOwnerUniversity(user._id, user.university);
+
+    try {
+      await sendEmailChangedNotice(user, oldEmail);
+    } catch (mailError) {
+      console.error('Email changed notice error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address updated successfully',
+      email: user.email,
+      university: user.university
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download a copy of all personal data
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+  try {
+    const archive = await buildDataExport(req.user._id);
+    const filename = `uniconnect-export-${req.user._id}-${new Date().toISOString().slice(0, 10)}.json`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.json(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Request account deletion (anonymized after a grace period)
+// @access  Private
+router.delete('/me', [
+  protect,
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password is incorrect' 
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    const deletionScheduledFor = await requestDeletion(user);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${GRACE_PERIOD_DAYS} days. Log in and cancel before then to keep it.`,
+      deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/users/me/cancel-deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.post('/me/cancel-deletion', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No account deletion is scheduled' 
+      });
+    }
+
+    await cancelDeletion(user);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   PUT /api/users/profile/privacy
+// @desc    Set who can see each profile field
+// @access  Private
+router.put('/profile/privacy', [
+  protect,
+  ...Object.keys(User.PRIVACY_DEFAULTS).map(field =>
+    body(field).optional().isIn(User.PRIVACY_LEVELS).withMessage(`${field} must be one of: ${User.PRIVACY_LEVELS.join(', ')}`)
+  )
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const updateFields = {};
+    Object.keys(User.PRIVACY_DEFAULTS).forEach(field => {
+      if (req.body[field] !== undefined) updateFields[`privacy.${field}`] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateFields,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated',
+      privacy: user.privacy
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/users/profile/picture
+// @desc    Upload a profile picture (multipart field "picture")
+// @access  Private
+router.post('/profile/picture', protect, pictureUpload.single('picture'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No image uploaded (use the "picture" field)' 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousVersion = user.profilePictureVersion;
+
+    let version;
+    try {
+      version = await storeProfilePicture(user._id, req.file.buffer);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+      throw error;
+    }
+
+    user.profilePictureVersion = version;
+    user.profilePicture = pictureUrl(user._id, version);
+    await user.save();
+
+    // Old renditions are no longer referenced once the new version is saved
+    if (previousVersion && previousVersion !== version) {
+      await removeProfilePicture(user._id, previousVersion);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Profile picture updated',
+      profilePicture: user.profilePicture,
+      sizes: getPictureUrls(user)
+    });
+  } catch (error) {
+    console.error('Upload profile picture error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   DELETE /api/users/profile/picture
+// @desc    Remove the profile picture and its stored files
+// @access  Private
+router.delete('/profile/picture', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.profilePictureVersion && !user.profilePicture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No profile picture to remove' 
+      });
+    }
+
+    await removeProfilePicture(user._id, user.profilePictureVersion);
+
+    user.profilePicture = '';
+    user.profilePictureVersion = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Profile picture removed'
+    });
+  } catch (error) {
+    console.error('Delete profile picture error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/users/pictures/:userId/:filename
+// @desc    Serve a stored profile picture rendition
+// @access  Public
+router.get('/pictures/:userId/:filename', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Picture not found' 
+      });
+    }
+
+    const image = await readProfilePicture(req.params.userId, req.params.filename);
+
+    if (!image) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Picture not found' 
+      });
+    }
+
+    // Filenames are versioned, so a given URL never changes content
+    res.set('Content-Type', 'image/webp');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.send(image);
+  } catch (error) {
+    console.error('Serve profile picture error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (public profile)
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, requireScope('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -299,9 +807,17 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
+    const serialize = await createUserSerializer(req.user);
+    const profile = serialize(user);
+
+    // Endorsement counts are shown with the skills they belong to
+    if (profile.skills) {
+      profile.endorsements = await Endorsement.summarize(user._id, user.skills);
+    }
+
     res.json({
       success: true,
-      user: user.publicProfile
+      user: profile
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -312,112 +828,212 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// Register new user
-router.post('/register', async (req, res) => {
+// @route   GET /api/users/:id/endorsements
+// @desc    List who endorsed each of a user's skills
+// @access  Private
+router.get('/:id/endorsements', protect, requireScope('users:read'), async (req, res) => {
   try {
-    const { name, email, password, university, bio, skills, github, linkedin } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const serialize = await createUserSerializer(req.user);
+
+    // Endorsements reveal skills, so they follow the skills privacy setting
+    if (!serialize(user).skills) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "This user's skills are not visible to you" 
+      });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const endorsements = await Endorsement.find({ endorsee: user._id, skill: { $in: user.skills } })
+      .populate('endorser', withPrivacy('name university trustScore profilePicture'))
+      .populate('project', 'title')
+      .sort({ weight: -1, createdAt: -1 });
 
-    // Create user
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      university,
-      bio,
-      skills: skills || [],
-      github,
-      linkedin,
-      trustScore: 50, // Starting trust score
-      role: 'user'
+    const bySkill = new Map(user.skills.map(skill => [skill, { skill, count: 0, score: 0, endorsers: [] }]));
+    endorsements.forEach(endorsement => {
+      const entry = bySkill.get(endorsement.skill);
+      entry.count += 1;
+      entry.score = Math.round((entry.score + endorsement.weight) * 100) / 100;
+      entry.endorsers.push({
+        user: serialize(endorsement.endorser),
+        project: endorsement.project,
+        weight: endorsement.weight,
+        endorsedAt: endorsement.createdAt
+      });
     });
 
-    await user.save();
+    res.json({
+      success: true,
+      endorsements: [...bySkill.values()]
+    });
+  } catch (error) {
+    console.error('Get endorsements error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+// @route   POST /api/users/:id/endorsements
+// @desc    Endorse one of a collaborator's skills
+// @access  Private
+router.post('/:id/endorsements', [
+  protect,
+  body('skill').trim().notEmpty().withMessage('Skill is required'),
+  body('projectId').optional().isMongoId().withMessage('Invalid project ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot endorse your own skills' 
+      });
+    }
+
+    const endorsee = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+    
+    if (!endorsee || !endorsee.isActive) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const [skill] = await normalizeSkillNames([req.body.skill]);
+    if (!endorsee.skills.includes(skill)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `${endorsee.name} does not list ${skill} as a skill` 
+      });
+    }
+
+    const project = await Project.findShared(req.user._id, endorsee._id, req.body.projectId);
+    if (!project) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only endorse people you share a project with' 
+      });
+    }
+
+    const existing = await Endorsement.findOne({ endorser: req.user._id, endorsee: endorsee._id, skill });
+    if (existing) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You have already endorsed ${skill}` 
+      });
+    }
+
+    const given = await Endorsement.countDocuments({ endorser: req.user._id });
+    if (given >= Endorsement.MAX_PER_ENDORSER) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You can give at most ${Endorsement.MAX_PER_ENDORSER} endorsements. Revoke one first.` 
+      });
+    }
+
+    const endorsement = await Endorsement.create({
+      endorser: req.user._id,
+      endorsee: endorsee._id,
+      skill,
+      project: project._id,
+      weight: Endorsement.weightForTrust(req.user.trustScore)
+    });
 
-    // Log trust score change
-    await TrustLog.create({
-      user: user._id,
-      action: 'account_created',
-      points: 50,
-      description: 'Account created - initial trust score'
+    await Notification.create({
+      user: endorsee._id,
+      type: 'skill_endorsed',
+      message: `${req.user.name} endorsed your ${skill} skill`
     });
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        university: user.university,
-        trustScore: user.trustScore,
-        role: user.role
-      }
+      success: true,
+      message: 'Endorsement added',
+      endorsement
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Endorse skill error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
   }
 });
 
-// Login user
-router.post('/login', async (req, res) => {
+// @route   DELETE /api/users/:id/endorsements/:skill
+// @desc    Revoke your endorsement of a user's skill
+// @access  Private
+router.delete('/:id/endorsements/:skill', protect, async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Endorsement not found' 
+      });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+    const [skill] = await normalizeSkillNames([req.params.skill]);
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const endorsement = await Endorsement.findOneAndDelete({
+      endorser: req.user._id,
+      endorsee: req.params.id,
+      skill
+    });
+
+    if (!endorsement) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Endorsement not found' 
+      });
+    }
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        university: user.university,
-        trustScore: user.trustScore,
-        role: user.role
-      }
+      success: true,
+      message: 'Endorsement revoked'
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Revoke endorsement error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
   }
 });
 
+// @route   POST /api/users/register
+// @desc    Deprecated alias of POST /api/auth/register (same service, same responses)
+// @access  Public
+router.post('/register', deprecatedAlias('/api/auth/register'), registerRoute);
+
+// @route   POST /api/users/login
+// @desc    Deprecated alias of POST /api/auth/login (same service, same responses)
+// @access  Public
+router.post('/login', deprecatedAlias('/api/auth/login'), loginRoute);
+
 // Get user's trust log
 router.get('/trust-log', protect, async (req, res) => {
   try {
@@ -484,14 +1100,19 @@ router.post('/trust/vote', protect, async (req, res) => {
     if (!project || !project.members.some(m => m.user.toString() === targetId)) {
       return res.status(400).json({ message: 'Target user is not a member of this project' });
     }
-    // Upsert vote
-    const trustVote = await TrustVote.findOneAndUpdate(
-      { voter: req.user._id, target: targetId, project: projectId },
-      { vote },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
+    // Upsert vote, weighted by the voter's trust and account age; the target's score
+    // changes through the trust ledger
+    const { trustVote } = await castVote({
+      voter: req.user,
+      target: project.members.find(m => m.user.toString() === targetId).user,
+      project,
+      vote
+    });
     res.json({ success: true, trustVote });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Trust vote error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -503,15 +1124,21 @@ router.post('/trust/vote', protect, async (req, res) => {
 router.get('/trust/:userId', protect, async (req, res) => {
   try {
     const { userId } = req.params;
-    // Get all votes for this user
-    const votes = await TrustVote.find({ target: userId });
+    const user = await User.findById(userId).select(withPrivacy('trustScore'));
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    // Vote counts reveal the score, so they follow the trust score privacy setting too
+    const serialize = await createUserSerializer(req.user);
+    if (serialize(user).trustScore === undefined) {
+      return res.status(403).json({ message: 'This user has made their trust score private' });
+    }
+    // The score is the persisted ledger total; votes are listed for context only, without voters
+    const votes = await TrustVote.find({ target: userId }).select('vote project updatedAt').sort({ updatedAt: -1 });
     const upvotes = votes.filter(v => v.vote === 1).length;
     const downvotes = votes.filter(v => v.vote === -1).length;
-    const base = 30;
-    const weight = 5;
-    let trustScore = base + (upvotes - downvotes) * weight;
-    trustScore = Math.max(0, Math.min(100, trustScore));
-    res.json({ trustScore, upvotes, downvotes, recentVotes: votes.slice(-10).reverse() });
+    const recentVotes = votes.slice(0, 10).map(v => ({ vote: v.vote, project: v.project, updatedAt: v.updatedAt }));
+    res.json({ trustScore: user.trustScore, upvotes, downvotes, recentVotes });
   } catch (error) {
     console.error('Get trust score error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -9,6 +9,7 @@ const http = require('http');
 const socketIo = require('socket.io');
 const Project = require('./models/Project');
 const Message = require('./models/Message');
+const Session = require('./models/Session');
 
 // Load environment variables
 dotenv.config();
@@ -18,10 +19,14 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
 const adminRoutes = require('./routes/admin');
+const skillRoutes = require('./routes/skills');
 const messageRoutes = require('./routes/messages');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
+const { socketAuth, checkSocketSession } = require('./middleware/auth');
+const { startJobs } = require('./jobs');
+const { withPrivacy, serializeUser } = require('./utils/userSerializer');
 
 const app = express();
 const server = http.createServer(app);
@@ -62,6 +67,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/skills', skillRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -72,49 +78,102 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Socket.io authentication - every connection must carry a valid JWT
+io.use(socketAuth);
+
+// Close sockets opened on sessions that have since been revoked (logout, password change,
+// deactivation, admin sign-out) so they stop receiving project messages
+Session.revocations.on('revoked', ({ sessionId, userId, exceptSessionId }) => {
+  for (const socket of io.of('/').sockets.values()) {
+    const revoked = sessionId
+      ? socket.sessionId === sessionId
+      : socket.user._id.toString() === userId && socket.sessionId !== exceptSessionId;
+
+    if (revoked) {
+      socket.emit('session-revoked', { message: 'Your session has ended, please log in again.' });
+      socket.disconnect(true);
+    }
+  }
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('🔌 New client connected:', socket.id);
+  const userId = socket.user._id;
+  console.log('🔌 New client connected:', socket.id, 'User:', userId.toString());
+
+  // Disconnect if the session was revoked since the handshake; returns whether it is still valid
+  const ensureSession = async () => {
+    const { error } = await checkSocketSession(socket);
+    if (!error) return true;
+
+    socket.emit('session-revoked', { message: error });
+    socket.disconnect(true);
+    return false;
+  };
+
+  // Load a project and check the authenticated user may access it
+  const getAccessibleProject = async (projectId) => {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) return null;
+    const project = await Project.findById(projectId);
+    if (!project || project.isDeleted || !project.canView(userId)) return null;
+    return project;
+  };
+
+  socket.on('join-project', async (projectId) => {
+    try {
+      if (!(await ensureSession())) return;
 
-  socket.on('join-project', (projectId) => {
-    socket.join(`project-${projectId}`);
-    console.log(`👥 User joined project: ${projectId}`);
+      const project = await getAccessibleProject(projectId);
+      if (!project) {
+        socket.emit('error-message', { message: 'You do not have access to this project.' });
+        return;
+      }
+
+      socket.join(`project-${project._id}`);
+      console.log(`👥 User ${userId} joined project: ${project._id}`);
+    } catch (err) {
+      console.error('Socket join-project error:', err);
+      socket.emit('error-message', { message: 'Server error joining project.' });
+    }
   });
 
   socket.on('leave-project', (projectId) => {
     socket.leave(`project-${projectId}`);
-    console.log(`👋 User left project: ${projectId}`);
+    console.log(`👋 User ${userId} left project: ${projectId}`);
   });
 
-  socket.on('send-message', async (data) => {
+  socket.on('send-message', async (data = {}) => {
     try {
-      const project = await Project.findById(data.projectId);
+      if (!(await ensureSession())) return;
+
+      const project = await getAccessibleProject(data.projectId);
       if (!project) {
-        socket.emit('error-message', { message: 'Project not found.' });
+        socket.emit('error-message', { message: 'You do not have permission to send messages in this project.' });
         return;
       }
-      
-      // Check if user has access to the project
-      if (!project.canView(data.userId)) {
-        socket.emit('error-message', { message: 'You do not have permission to send messages in this project.' });
+
+      const content = typeof data.message === 'string' ? data.message.trim() : '';
+      if (!content || content.length > 1000) {
+        socket.emit('error-message', { message: 'Message must be between 1 and 1000 characters.' });
         return;
       }
 
-      // Create and save the message to database
+      // Create and save the message to database as the authenticated user
       const message = new Message({
-        project: data.projectId,
-        sender: data.userId,
-        content: data.message
+        project: project._id,
+        sender: userId,
+        content
       });
 
       await message.save();
-      await message.populate('sender', 'name email');
+      await message.populate('sender', withPrivacy('name email'));
 
       // Emit the saved message to all project members
-      io.to(`project-${data.projectId}`).emit('new-message', {
+      io.to(`project-${project._id}`).emit('new-message', {
         _id: message._id,
         project: message.project,
-        sender: message.sender,
+        // Room members vary, so the sender is shown as anyone would see them
+        sender: serializeUser(message.sender, null),
         content: message.content,
         messageType: message.messageType,
         isEdited: message.isEdited,
@@ -127,12 +186,16 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('typing', (data) => {
-    // Broadcast typing status to other users in the project
-    socket.to(`project-${data.projectId}`).emit('user-typing', {
-      userId: data.userId,
-      userName: data.userName,
-      isTyping: data.isTyping
+  socket.on('typing', (data = {}) => {
+    const room = `project-${data.projectId}`;
+
+    // Only members of the room may broadcast typing status
+    if (!socket.rooms.has(room)) return;
+
+    socket.to(room).emit('user-typing', {
+      userId,
+      userName: socket.user.name,
+      isTyping: !!data.isTyping
     });
   });
 
@@ -154,6 +217,7 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`🚀 UniConnect server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+  startJobs();
 });
 
 module.exports = { app, io };
\ No newline at end of file
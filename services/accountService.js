@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const TrustLog = require('../models/TrustLog');
+const TrustVote = require('../models/TrustVote');
+const TrustFlag = require('../models/TrustFlag');
+const { voidVote } = require('./trustService');
+const Endorsement = require('../models/Endorsement');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const { removeAllProfilePictures } = require('../utils/profilePicture');
+
+// Days between a deletion request and anonymization
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Collect everything stored about a user into one JSON-serializable archive
+const buildDataExport = async (userId) => {
+  const user = await User.findById(userId).lean();
+
+  const [trustLogs, votesCast, votesReceived, endorsementsGiven, endorsementsReceived, savedSearches, messages, notifications, projects] = await Promise.all([
+    TrustLog.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    TrustVote.find({ voter: userId }).populate('target', 'name').populate('project', 'title').lean(),
+    TrustVote.find({ target: userId }).populate('project', 'title').select('-voter').lean(),
+    Endorsement.find({ endorser: userId }).populate('endorsee', 'name').populate('project', 'title').lean(),
+    Endorsement.find({ endorsee: userId }).populate('endorser', 'name').populate('project', 'title').lean(),
+    SavedSearch.find({ user: userId }).lean(),
+    Message.find({ sender: userId }).populate('project', 'title').sort({ createdAt: 1 }).lean(),
+    Notification.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Project.find({ $or: [{ owner: userId }, { 'members.user': userId }, { 'tasks.assignedTo': userId }, { 'tasks.createdBy': userId }] }).lean()
+  ]);
+
+  const isUser = (id) => id && id.toString() === userId.toString();
+
+  const tasks = projects.flatMap(project => project.tasks
+    .filter(task => isUser(task.assignedTo) || isUser(task.createdBy))
+    .map(task => ({ ...task, project: { _id: project._id, title: project.title } })));
+
+  const memberships = projects
+    .map(project => {
+      const member = project.members.find(m => isUser(m.user));
+      return member && {
+        project: { _id: project._id, title: project.title },
+        role: member.role,
+        joinedAt: member.joinedAt,
+        hasSignedNDA: member.hasSignedNDA,
+        isOwner: isUser(project.owner)
+      };
+    })
+    .filter(Boolean);
+
+  // Strip credentials and internal fields from the profile
+  const {
+    password, passwordResetToken, passwordResetExpires, tokenVersion,
+    twoFactorSecret, twoFactorPendingSecret, twoFactorRecoveryCodes, twoFactorLastStep,
+    ...profile
+  } = user;
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    projects: memberships,
+    tasks,
+    messages,
+    trustLogs,
+    trustVotes: {
+      cast: votesCast,
+      received: votesReceived
+    },
+    endorsements: {
+      given: endorsementsGiven,
+      received: endorsementsReceived
+    },
+    savedSearches,
+    notifications
+  };
+};
+
+// Schedule the account for anonymization and sign it out everywhere
+const requestDeletion = async (user) => {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'user_revoked', { revokedBy: user._id });
+  await PersonalAccessToken.revokeAllForUser(user._id, 'account_deletion');
+
+  return user.deletionScheduledFor;
+};
+
+const cancelDeletion = async (user) => {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+// Remove a user's personal data. Messages, projects and reports are kept for the other
+// participants but reassigned to the shared tombstone identity.
+const anonymizeUser = async (userId) => {
+  const tombstone = await User.getTombstone();
+  const tombstoneId = tombstone._id;
+
+  await Message.updateMany({ sender: userId }, { sender: tombstoneId });
+
+  await Report.updateMany({ reportedUser: userId }, { reportedUser: tombstoneId });
+  await Report.updateMany({ reportedBy: userId }, { reportedBy: tombstoneId });
+  await Report.updateMany({ resolvedBy: userId }, { resolvedBy: tombstoneId });
+
+  // Owned projects keep existing under the tombstone; memberships and requests are dropped
+  await Project.updateMany({ owner: userId }, { owner: tombstoneId });
+  await Project.updateMany(
+    { 'members.user': userId, 'members.role': 'owner' },
+    { $set: { 'members.$[owner].user': tombstoneId } },
+    { arrayFilters: [{ 'owner.user': userId, 'owner.role': 'owner' }] }
+  );
+  await Project.updateMany(
+    { $or: [{ 'members.user': userId }, { 'joinRequests.user': userId }] },
+    { $pull: { members: { user: userId }, joinRequests: { user: userId } } }
+  );
+  await Project.updateMany(
+    { 'tasks.assignedTo': userId },
+    { $set: { 'tasks.$[assigned].assignedTo': null } },
+    { arrayFilters: [{ 'assigned.assignedTo': userId }] }
+  );
+  await Project.updateMany(
+    { 'tasks.createdBy': userId },
+    { $set: { 'tasks.$[created].createdBy': tombstoneId } },
+    { arrayFilters: [{ 'created.createdBy': userId }] }
+  );
+
+  // Votes the user cast are withdrawn through the ledger so their targets' scores stay explained
+  const votesCast = await TrustVote.find({ voter: userId }).select('_id');
+  for (const vote of votesCast) {
+    await voidVote(vote._id, 'Voter account deleted');
+  }
+
+  await Promise.all([
+    TrustLog.deleteMany({ user: userId }),
+    TrustVote.deleteMany({ target: userId }),
+    TrustFlag.updateMany({ users: userId }, { $pull: { users: userId } }),
+    Endorsement.deleteMany({ $or: [{ endorser: userId }, { endorsee: userId }] }),
+    SavedSearch.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    PersonalAccessToken.deleteMany({ user: userId }),
+    LoginThrottle.deleteMany({ user: userId }),
+    removeAllProfilePictures(userId)
+  ]);
+
+  await User.deleteOne({ _id: userId });
+};
+
+// Job: anonymize every account whose grace period has passed
+const processScheduledDeletions = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await anonymizeUser(_id);
+      console.log(`🗑️  Anonymized deleted account ${_id}`);
+    } catch (error) {
+      console.error(`Account anonymization error for ${_id}:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  buildDataExport,
+  requestDeletion,
+  cancelDeletion,
+  anonymizeUser,
+  processScheduledDeletions
+};
@@ -0,0 +1,288 @@
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { recordTrustEvent } = require('./trustService');
+const { isStudentEmail, resolveEmailUniversity } = require('../utils/universities');
+const { issueTokens } = require('../utils/tokens');
+const {
+  TWO_FACTOR_FIELDS,
+  createLoginChallenge,
+  decodeLoginChallenge,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { validateSkillEntry, normalizeSkillInput } = require('../utils/skills');
+
+// Single implementation of registration and login shared by every entry point
+// (/api/auth and the deprecated /api/users aliases).
+
+// Error carrying the HTTP status and any extra response fields
+class AuthError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const registerValidation = [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('university').optional().trim().isLength({ min: 2, max: 100 }).withMessage('University must be between 2 and 100 characters'),
+  body('skills').optional().isArray().withMessage('Skills must be an array'),
+  body('skills.*').custom(validateSkillEntry),
+  body('github').optional().isURL().withMessage('Please enter a valid GitHub URL'),
+  body('linkedin').optional().isURL().withMessage('Please enter a valid LinkedIn URL')
+];
+
+const loginValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+];
+
+// User fields returned by register/login/refresh
+const toAuthUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  university: user.university,
+  trustScore: user.trustScore,
+  isEmailVerified: user.isEmailVerified,
+  role: user.role
+});
+
+const throttled = (throttle) => new AuthError(throttle.message, 429, {
+  locked: throttle.locked,
+  retryAfter: throttle.retryAfter
+});
+
+// Create an account; the university is derived from the email domain (or, for generic
+// student domains not yet in the registry, taken from the form)
+const register = async ({ name, email, password, university: universityText, bio, skills, github, linkedin }, req) => {
+  const university = await resolveEmailUniversity(email, universityText);
+  if (!university) {
+    throw new AuthError(isStudentEmail(email)
+      ? 'Please enter your university'
+      : 'Please use your student/university email address to register.');
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new AuthError('User already exists with this email');
+  }
+
+  // Password is hashed once, by the User pre-save hook
+  const user = await User.create({
+    name,
+    email,
+    password,
+    ...university,
+    bio: bio || '',
+    ...await normalizeSkillInput(skills || []),
+    github: github || '',
+    linkedin: linkedin || '',
+    role: 'user'
+  });
+
+  // Send verification email (registration still succeeds if delivery fails)
+  try {
+    await sendVerificationEmail(user);
+  } catch (mailError) {
+    console.error('Verification email error:', mailError);
+  }
+
+  // Log trust activity for account creation (bookkeeping must not block sign-up)
+  try {
+    await recordTrustEvent(user._id, 'account_created');
+  } catch (trustError) {
+    console.error('Account creation trust log error:', trustError);
+  }
+
+  const tokens = await issueTokens(user, req);
+  return { user, tokens };
+};
+
+// Password step of login; returns tokens, or a challenge when two-factor auth is enabled
+const login = async ({ email, password }, req) => {
+  // Reject early while the account or IP is throttled/locked
+  const throttle = await checkLoginAllowed(email, req.ip);
+  if (!throttle.allowed) {
+    throw throttled(throttle);
+  }
+
+  const user = await User.findOne({ email }).select('+password');
+  if (!user) {
+    await recordLoginFailure(email, req.ip);
+    throw new AuthError('Invalid credentials', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AuthError('Account is deactivated', 401);
+  }
+
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    await recordLoginFailure(email, req.ip, user);
+    throw new AuthError('Invalid credentials', 401);
+  }
+
+  if (user.twoFactorEnabled) {
+    return { twoFactorRequired: true, challengeToken: createLoginChallenge(user) };
+  }
+
+  await recordLoginSuccess(email);
+
+  user.lastActive = new Date();
+  await user.save();
+
+  const tokens = await issueTokens(user, req);
+  return { user, tokens };
+};
+
+// Second step of login with a TOTP or recovery code
+const completeTwoFactorLogin = async ({ challengeToken, code, recoveryCode }, req) => {
+  if (!code && !recoveryCode) {
+    throw new AuthError('Authentication code or recovery code is required');
+  }
+
+  let decoded;
+  try {
+    decoded = decodeLoginChallenge(challengeToken);
+  } catch (tokenError) {
+    throw new AuthError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    throw new AuthError('Invalid credentials', 401);
+  }
+
+  const throttle = await checkLoginAllowed(user.email, req.ip);
+  if (!throttle.allowed) {
+    throw throttled(throttle);
+  }
+
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    await recordLoginFailure(user.email, req.ip, user);
+    throw new AuthError('Invalid authentication code', 401);
+  }
+
+  await recordLoginSuccess(user.email);
+
+  // Update last active (also persists the consumed code)
+  user.lastActive = new Date();
+  await user.save();
+
+  const tokens = await issueTokens(user, req);
+  return { user, tokens, recoveryCodesRemaining: user.twoFactorRecoveryCodes.length };
+};
+
+// Send an AuthError (or a generic 500) in the standard response shape
+const sendAuthError = (res, error, logLabel, fallbackMessage) => {
+  if (error instanceof AuthError) {
+    if (error.details.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error(`${logLabel}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Wrap a service call as validated Express handlers
+const route = (validation, action, logLabel, fallbackMessage) => [
+  ...validation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+
+      await action(req, res);
+    } catch (error) {
+      sendAuthError(res, error, logLabel, fallbackMessage);
+    }
+  }
+];
+
+const registerRoute = route(registerValidation, async (req, res) => {
+  const { user, tokens } = await register(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: toAuthUser(user)
+  });
+}, 'Registration error', 'Server error during registration');
+
+const loginRoute = route(loginValidation, async (req, res) => {
+  const result = await login(req.body, req);
+
+  // Two-step login: password accepted, second factor still required
+  if (result.twoFactorRequired) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: result.challengeToken,
+      message: 'Enter the code from your authenticator app'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: result.tokens.token,
+    refreshToken: result.tokens.refreshToken,
+    expiresIn: result.tokens.expiresIn,
+    user: toAuthUser(result.user)
+  });
+}, 'Login error', 'Server error during login');
+
+const twoFactorLoginRoute = route(twoFactorLoginValidation, async (req, res) => {
+  const { user, tokens, recoveryCodesRemaining } = await completeTwoFactorLogin(req.body, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    recoveryCodesRemaining,
+    user: toAuthUser(user)
+  });
+}, 'Two-factor login error', 'Server error during login');
+
+module.exports = {
+  AuthError,
+  register,
+  login,
+  completeTwoFactorLogin,
+  toAuthUser,
+  registerRoute,
+  loginRoute,
+  twoFactorLoginRoute
+};
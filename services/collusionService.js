@@ -0,0 +1,177 @@
+const TrustVote = require('../models/TrustVote');
+const TrustFlag = require('../models/TrustFlag');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Upvote rings: users who upvote each other in a cycle within the window, across at least
+// this many projects (teammates upvoting each other on one project is normal)
+const RING_WINDOW_DAYS = parseInt(process.env.COLLUSION_RING_WINDOW_DAYS) || 30;
+const RING_MIN_PROJECTS = parseInt(process.env.COLLUSION_RING_MIN_PROJECTS) || 2;
+
+// Vote bursts: this many votes on one user within BURST_WINDOW_MINUTES
+const BURST_MIN_VOTES = parseInt(process.env.COLLUSION_BURST_MIN_VOTES) || 5;
+const BURST_WINDOW_MINUTES = parseInt(process.env.COLLUSION_BURST_WINDOW_MINUTES) || 60;
+
+// Groups of users that can all reach each other through upvotes (Tarjan's strongly connected
+// components over the voter -> target graph); only groups of two or more are returned
+const findUpvoteCycles = (edges) => {
+  const graph = new Map();
+  for (const [from, to] of edges) {
+    if (!graph.has(from)) graph.set(from, new Set());
+    if (!graph.has(to)) graph.set(to, new Set());
+    graph.get(from).add(to);
+  }
+
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const groups = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    lowLink.set(node, counter);
+    counter += 1;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of graph.get(node)) {
+      if (!index.has(next)) {
+        visit(next);
+        lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(node) === index.get(node)) {
+      const group = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        group.push(member);
+      } while (member !== node);
+      if (group.length > 1) groups.push(group);
+    }
+  };
+
+  for (const node of graph.keys()) {
+    if (!index.has(node)) visit(node);
+  }
+
+  return groups;
+};
+
+// Queue a flag unless the same pattern was already queued; returns true when it is new
+const queueFlag = async (flag) => {
+  const result = await TrustFlag.updateOne(
+    { fingerprint: flag.fingerprint },
+    { $setOnInsert: flag },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+// Flag upvote rings in the recent window; returns how many new flags were queued
+const detectVoteRings = async (now = new Date()) => {
+  const since = new Date(now.getTime() - RING_WINDOW_DAYS * DAY_MS);
+  const votes = await TrustVote.find({ vote: 1, updatedAt: { $gte: since } }).select('voter target project');
+
+  const groups = findUpvoteCycles(votes.map(vote => [vote.voter.toString(), vote.target.toString()]));
+  let queued = 0;
+
+  for (const group of groups) {
+    const members = new Set(group);
+    const ringVotes = votes.filter(vote => members.has(vote.voter.toString()) && members.has(vote.target.toString()));
+    const projects = [...new Set(ringVotes.map(vote => vote.project.toString()))];
+
+    if (projects.length < RING_MIN_PROJECTS) continue;
+
+    const users = [...members].sort();
+    const isNew = await queueFlag({
+      type: 'vote_ring',
+      fingerprint: `vote_ring:${users.join(',')}`,
+      users,
+      votes: ringVotes.map(vote => vote._id),
+      projects,
+      details: { voteCount: ringVotes.length, projectCount: projects.length, windowDays: RING_WINDOW_DAYS }
+    });
+    if (isNew) queued += 1;
+  }
+
+  return queued;
+};
+
+// Flag users who received a burst of votes in the last day; returns how many new flags were queued
+const detectVoteBursts = async (now = new Date()) => {
+  const since = new Date(now.getTime() - DAY_MS);
+  const votes = await TrustVote.find({ updatedAt: { $gte: since } })
+    .select('voter target project vote updatedAt')
+    .sort({ updatedAt: 1 });
+
+  const byTarget = new Map();
+  for (const vote of votes) {
+    const key = vote.target.toString();
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(vote);
+  }
+
+  const windowMs = BURST_WINDOW_MINUTES * MINUTE_MS;
+  let queued = 0;
+
+  for (const [target, received] of byTarget) {
+    // Slide a window over the votes (oldest first) and keep the busiest one
+    let best = null;
+    let start = 0;
+    for (let end = 0; end < received.length; end++) {
+      while (received[end].updatedAt - received[start].updatedAt > windowMs) start += 1;
+      if (end - start + 1 >= BURST_MIN_VOTES && (!best || end - start + 1 > best.length)) {
+        best = received.slice(start, end + 1);
+      }
+    }
+
+    if (!best) continue;
+
+    const isNew = await queueFlag({
+      type: 'vote_burst',
+      fingerprint: `vote_burst:${target}:${best[0]._id}`,
+      users: [target, ...new Set(best.map(vote => vote.voter.toString()))],
+      votes: best.map(vote => vote._id),
+      projects: [...new Set(best.map(vote => vote.project.toString()))],
+      details: {
+        voteCount: best.length,
+        upvotes: best.filter(vote => vote.vote === 1).length,
+        downvotes: best.filter(vote => vote.vote === -1).length,
+        from: best[0].updatedAt,
+        to: best[best.length - 1].updatedAt,
+        windowMinutes: BURST_WINDOW_MINUTES
+      }
+    });
+    if (isNew) queued += 1;
+  }
+
+  return queued;
+};
+
+// Job: scan recent votes for rings and bursts and queue anything new for moderation
+const processCollusionDetection = async () => {
+  const now = new Date();
+  const rings = await detectVoteRings(now);
+  const bursts = await detectVoteBursts(now);
+
+  if (rings || bursts) {
+    console.log(`🚩 Queued ${rings} vote ring(s) and ${bursts} vote burst(s) for review`);
+  }
+
+  return { rings, bursts };
+};
+
+module.exports = {
+  findUpvoteCycles,
+  detectVoteRings,
+  detectVoteBursts,
+  processCollusionDetection
+};
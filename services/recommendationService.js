@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { withPrivacy, createUserSerializer, serializeProjectUsers } = require('../utils/userSerializer');
+
+// Share of the 0-1 match score contributed by each signal
+const WEIGHTS = {
+  skills: 0.5,
+  university: 0.15,
+  trust: 0.2,
+  activity: 0.15
+};
+
+// Users active within FRESH_DAYS get the full activity score, fading to zero at STALE_DAYS
+const FRESH_DAYS = 7;
+const STALE_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Upper bound on users scored per request
+const CANDIDATE_LIMIT = 500;
+
+// Share of the 0-1 feed score contributed by each signal
+const FEED_WEIGHTS = {
+  skills: 0.35,
+  university: 0.15,
+  freshness: 0.2,
+  needs: 0.15,
+  trust: 0.15
+};
+
+// Projects idle for longer than this get no freshness score
+const FRESHNESS_WINDOW_DAYS = 30;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const activityScore = (lastActive, now = Date.now()) => {
+  if (!lastActive) return 0;
+  const days = (now - new Date(lastActive).getTime()) / DAY;
+  if (days <= FRESH_DAYS) return 1;
+  if (days >= STALE_DAYS) return 0;
+  return (STALE_DAYS - days) / (STALE_DAYS - FRESH_DAYS);
+};
+
+const describeActivity = (lastActive, now = Date.now()) => {
+  const days = Math.floor((now - new Date(lastActive).getTime()) / DAY);
+  if (days < 1) return 'Active today';
+  if (days <= FRESH_DAYS) return 'Active in the last week';
+  return 'Active in the last month';
+};
+
+// Score one candidate using only what the viewer is allowed to see of them
+const scoreCandidate = (profile, lastActive, { techStack, university }) => {
+  const reasons = [];
+  const breakdown = {};
+
+  const skills = profile.skills || [];
+  const matchedSkills = techStack.filter(tech => skills.includes(tech));
+  breakdown.skills = techStack.length ? matchedSkills.length / techStack.length : 0;
+  if (matchedSkills.length) {
+    reasons.push(`Knows ${matchedSkills.join(', ')} from the project's tech stack`);
+  }
+
+  breakdown.university = profile.university === university ? 1 : 0;
+  if (breakdown.university) {
+    reasons.push(`Also at ${university}`);
+  }
+
+  breakdown.trust = profile.trustScore !== undefined ? profile.trustScore / 100 : 0;
+  if (profile.trustScore >= 70) {
+    reasons.push(`High trust score (${profile.trustScore})`);
+  }
+
+  breakdown.activity = activityScore(lastActive);
+  if (breakdown.activity > 0) {
+    reasons.push(describeActivity(lastActive));
+  }
+
+  const score = Object.keys(WEIGHTS).reduce((total, signal) => total + WEIGHTS[signal] * breakdown[signal], 0);
+
+  Object.keys(breakdown).forEach(signal => {
+    breakdown[signal] = round(breakdown[signal]);
+  });
+
+  return { score: round(score), matchedSkills, reasons, breakdown };
+};
+
+// Rank active users who are not yet on the project (or waiting on a join request)
+const recommendCollaborators = async (project, viewer, { limit = 10 } = {}) => {
+  await project.populate('owner', 'university');
+
+  const excluded = [
+    project.owner._id,
+    ...project.members.map(member => member.user),
+    ...project.joinRequests.filter(request => request.status === 'pending').map(request => request.user)
+  ];
+  const university = project.owner.university;
+
+  // Only users who share something with the project are worth scoring
+  const candidates = await User.find({
+    _id: { $nin: excluded },
+    isActive: true,
+    isTombstone: { $ne: true },
+    $or: [
+      { skills: { $in: project.techStack } },
+      { university }
+    ]
+  })
+    .select(withPrivacy('name university skills skillLevels trustScore isEmailVerified profilePicture lastActive'))
+    .sort({ lastActive: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  const serialize = await createUserSerializer(viewer);
+
+  return candidates
+    .map(candidate => {
+      const user = serialize(candidate);
+      return { user, ...scoreCandidate(user, candidate.lastActive, { techStack: project.techStack, university }) };
+    })
+    .filter(recommendation => recommendation.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Feed cursors pin the ranking time so scores stay stable across pages
+const encodeCursor = (project, at) => Buffer.from(JSON.stringify({
+  s: project.feedScore,
+  id: project._id.toString(),
+  at: at.getTime()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, id, at } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof s !== 'number' || !mongoose.Types.ObjectId.isValid(id) || !Number.isFinite(at)) return null;
+    return { score: s, id: new mongoose.Types.ObjectId(id), at: new Date(at) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const describeFeedMatch = (feed, university) => {
+  const reasons = [];
+  if (feed.matchedSkills.length) reasons.push(`Uses ${feed.matchedSkills.join(', ')}`);
+  if (feed.university) reasons.push(`Owner is also at ${university}`);
+  if (feed.freshness >= 0.75) reasons.push('Recently active');
+  if (feed.openSpots > 0) reasons.push(`Looking for ${feed.openSpots} more ${feed.openSpots === 1 ? 'member' : 'members'}`);
+  if (feed.openTasks > 0) reasons.push(`${feed.openTasks} unassigned ${feed.openTasks === 1 ? 'task' : 'tasks'}`);
+  if (feed.trust >= 0.7) reasons.push('Owner has a high trust score');
+  return reasons;
+};
+
+// Projects ranked for a user, excluding ones they belong to or were turned down from.
+// Returns { projects, nextCursor }; throws a 400 error for a malformed cursor.
+const buildProjectFeed = async (user, { cursor, limit = 20 } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = after ? after.at : new Date();
+  const skills = user.skills || [];
+  const windowMs = FRESHNESS_WINDOW_DAYS * DAY;
+  const ratio = (part, whole) => ({ $cond: [{ $gt: [whole, 0] }, { $divide: [part, whole] }, 0] });
+
+  const pipeline = [
+    {
+      $match: {
+        isDeleted: false,
+        status: 'active',
+        privacy: { $in: ['public', 'private'] },
+        owner: { $ne: user._id },
+        'members.user': { $ne: user._id },
+        joinRequests: { $not: { $elemMatch: { user: user._id, status: 'rejected' } } }
+      }
+    },
+    { $lookup: { from: 'users', localField: 'owner', foreignField: '_id', as: 'ownerDoc' } },
+    { $unwind: '$ownerDoc' },
+    { $match: { 'ownerDoc.isActive': true } },
+    {
+      $addFields: {
+        'feed.matchedSkills': { $setIntersection: ['$techStack', skills] },
+        'feed.memberCount': { $size: '$members' },
+        'feed.openTasks': {
+          $size: {
+            $filter: {
+              input: '$tasks',
+              as: 'task',
+              cond: { $and: [{ $ne: ['$$task.status', 'completed'] }, { $not: ['$$task.assignedTo'] }] }
+            }
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        'feed.openSpots': { $max: [0, { $subtract: [{ $ifNull: ['$teamSize', 0] }, '$feed.memberCount'] }] },
+        'feed.skills': ratio({ $size: '$feed.matchedSkills' }, { $size: '$techStack' }),
+        'feed.university': { $cond: [{ $eq: ['$ownerDoc.university', user.university] }, 1, 0] },
+        'feed.freshness': { $max: [0, { $subtract: [1, { $divide: [{ $subtract: [now, '$lastActivity'] }, windowMs] }] }] },
+        // Owner trust only counts when the owner shows it to everyone
+        'feed.trust': {
+          $cond: [
+            { $eq: [{ $ifNull: ['$ownerDoc.privacy.trustScore', 'everyone'] }, 'everyone'] },
+            { $divide: [{ $ifNull: ['$ownerDoc.trustScore', 0] }, 100] },
+            0
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        // Open spots plus unassigned tasks, relative to the team that already exists
+        'feed.needs': ratio(
+          { $add: ['$feed.openSpots', '$feed.openTasks'] },
+          { $add: ['$feed.openSpots', '$feed.openTasks', '$feed.memberCount'] }
+        )
+      }
+    },
+    {
+      $addFields: {
+        feedScore: {
+          $add: Object.entries(FEED_WEIGHTS).map(([signal, weight]) => ({ $multiply: [weight, `$feed.${signal}`] }))
+        }
+      }
+    }
+  ];
+
+  if (after) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { feedScore: { $lt: after.score } },
+          { feedScore: after.score, _id: { $lt: after.id } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { feedScore: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: { ownerDoc: 0 } }
+  );
+
+  const results = await Project.aggregate(pipeline);
+  const page = results.slice(0, limit);
+  await Project.populate(page, { path: 'owner', select: withPrivacy('name university trustScore profilePicture') });
+
+  const serialize = await createUserSerializer(user);
+
+  return {
+    projects: page.map(project => {
+      const { feed, ...rest } = project;
+      return {
+        ...serializeProjectUsers(rest, serialize),
+        // Non-members only get the teaser of a private project
+        ...(project.privacy === 'private' && { description: 'Description hidden. Join to view details.', tasks: [] }),
+        feedScore: round(project.feedScore),
+        reasons: describeFeedMatch(feed, user.university)
+      };
+    }),
+    nextCursor: results.length > limit ? encodeCursor(page[page.length - 1], now) : null
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  FEED_WEIGHTS,
+  scoreCandidate,
+  recommendCollaborators,
+  buildProjectFeed
+};
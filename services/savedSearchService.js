@@ -0,0 +1,117 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { textSearch } = require('../utils/search');
+const { normalizeSkillNames } = require('../utils/skills');
+const { resolveUniversityFilter } = require('../utils/universities');
+const { isDigestEnabled, sendSavedSearchDigest } = require('../utils/savedSearchDigest');
+
+// Most matches reported per saved search per run, so a bulk import cannot flood anyone
+const MAX_MATCHES_PER_RUN = 10;
+
+// Store filters in the same canonical form GET /api/projects resolves them to
+const normalizeFilters = async ({ search, techStack, status, university } = {}) => {
+  const filters = {};
+  if (search && search.trim()) filters.search = search.trim();
+  if (techStack && techStack.length) {
+    filters.techStack = await normalizeSkillNames(Array.isArray(techStack) ? techStack : String(techStack).split(','));
+  }
+  if (status) filters.status = status;
+  if (university) filters.university = await resolveUniversityFilter(university);
+  return filters;
+};
+
+// Project query equivalent to GET /api/projects with these filters
+const buildProjectQuery = async (filters = {}) => {
+  const query = { isDeleted: false };
+
+  const textQuery = textSearch(filters.search);
+  if (textQuery) Object.assign(query, textQuery.filter);
+  if (filters.techStack && filters.techStack.length) query.techStack = { $in: filters.techStack };
+  if (filters.status) query.status = filters.status;
+
+  // Projects belong to their owner's university
+  if (filters.university) query.university = filters.university;
+
+  return query;
+};
+
+// Public projects published in (since, until] that match, excluding the user's own projects
+const findNewMatches = async (savedSearch, since, until) => {
+  const query = await buildProjectQuery(savedSearch.filters);
+
+  Object.assign(query, {
+    privacy: 'public',
+    publishedAt: { $gt: since, $lte: until },
+    'members.user': { $ne: savedSearch.user }
+  });
+
+  return Project.find(query)
+    .select('title techStack owner publishedAt')
+    .sort({ publishedAt: -1 })
+    .limit(MAX_MATCHES_PER_RUN);
+};
+
+// Job: notify users about projects published since each saved search was last checked,
+// and email one digest per user for searches that opted in
+const processSavedSearches = async () => {
+  const now = new Date();
+  const searches = await SavedSearch.find({
+    $or: [{ notify: true }, { emailDigest: true }],
+    lastCheckedAt: { $lt: now }
+  });
+
+  const digests = new Map();
+
+  for (const search of searches) {
+    try {
+      const matches = await findNewMatches(search, search.lastCheckedAt, now);
+
+      if (matches.length) {
+        if (search.notify) {
+          await Notification.insertMany(matches.map(project => ({
+            user: search.user,
+            type: 'saved_search_match',
+            message: `New project matching "${search.name}": ${project.title}`,
+            project: project._id
+          })));
+        }
+
+        if (search.emailDigest) {
+          const key = search.user.toString();
+          if (!digests.has(key)) digests.set(key, []);
+          digests.get(key).push({ search, projects: matches });
+        }
+
+        search.lastMatchedAt = now;
+      }
+
+      search.lastCheckedAt = now;
+      await search.save();
+    } catch (error) {
+      console.error(`Saved search ${search._id} failed:`, error);
+    }
+  }
+
+  if (!isDigestEnabled()) return;
+
+  for (const [userId, groups] of digests) {
+    try {
+      const user = await User.findById(userId).select('name email isActive');
+      if (user && user.isActive) {
+        await sendSavedSearchDigest(user, groups);
+      }
+    } catch (error) {
+      console.error(`Saved search digest for ${userId} failed:`, error);
+    }
+  }
+};
+
+module.exports = {
+  MAX_MATCHES_PER_RUN,
+  normalizeFilters,
+  buildProjectQuery,
+  findNewMatches,
+  processSavedSearches
+};
@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const TrustLog = require('../models/TrustLog');
+const Notification = require('../models/Notification');
+const { BASE_SCORE, getTrustRule, recordTrustEvent } = require('./trustService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decay is switched on by activating the inactivity_decay trust rule (off by default);
+// the policy itself comes from the environment and can be previewed with overrides
+const getDecayPolicy = (overrides = {}) => ({
+  // Days without activity before decay starts
+  graceDays: parseInt(process.env.TRUST_DECAY_GRACE_DAYS) || 90,
+  // Decay is applied at most once per period...
+  periodDays: parseInt(process.env.TRUST_DECAY_PERIOD_DAYS) || 30,
+  // ...and removes at most this many points each time
+  pointsPerPeriod: parseInt(process.env.TRUST_DECAY_POINTS_PER_PERIOD) || 2,
+  // Users are warned this many days before decay starts
+  warningDays: parseInt(process.env.TRUST_DECAY_WARNING_DAYS) || 7,
+  ...overrides
+});
+
+// Scores only decay down toward the baseline; scores below it were lost, not earned
+const decayCandidates = (lastActive) => ({
+  isActive: true,
+  isTombstone: { $ne: true },
+  trustScore: { $gt: BASE_SCORE },
+  lastActive
+});
+
+// Users due a decay step under the policy: [{ user, points, inactiveDays }] (points are positive)
+const planDecay = async (policy, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - policy.graceDays * DAY_MS);
+  const users = await User.find(decayCandidates({ $lt: cutoff })).select('name email trustScore lastActive');
+  if (!users.length) return [];
+
+  const lastDecays = await TrustLog.aggregate([
+    { $match: { user: { $in: users.map(user => user._id) }, action: 'inactivity_decay' } },
+    { $group: { _id: '$user', at: { $max: '$createdAt' } } }
+  ]);
+  const lastDecayAt = new Map(lastDecays.map(row => [row._id.toString(), row.at]));
+  const periodStart = now.getTime() - policy.periodDays * DAY_MS;
+
+  return users
+    .filter(user => {
+      const at = lastDecayAt.get(user._id.toString());
+      return !at || at.getTime() <= periodStart;
+    })
+    .map(user => ({
+      user,
+      points: Math.min(policy.pointsPerPeriod, user.trustScore - BASE_SCORE),
+      inactiveDays: Math.floor((now - user.lastActive) / DAY_MS)
+    }));
+};
+
+// Users whose decay starts within the warning window and who have not been warned since they were last active
+const planWarnings = async (policy, now = new Date()) => {
+  const decayCutoff = new Date(now.getTime() - policy.graceDays * DAY_MS);
+  const warnCutoff = new Date(decayCutoff.getTime() + policy.warningDays * DAY_MS);
+  const users = await User.find(decayCandidates({ $gte: decayCutoff, $lt: warnCutoff })).select('name trustScore lastActive');
+
+  const due = [];
+  for (const user of users) {
+    const warned = await Notification.exists({
+      user: user._id,
+      type: 'trust_decay_warning',
+      createdAt: { $gt: user.lastActive }
+    });
+    if (!warned) due.push(user);
+  }
+  return due;
+};
+
+// Job: warn users approaching decay, then apply one capped decay step to everyone due
+const processTrustDecay = async () => {
+  const rule = await getTrustRule('inactivity_decay');
+  if (!rule.isActive) return;
+
+  const policy = getDecayPolicy();
+  const now = new Date();
+
+  const warnings = await planWarnings(policy, now);
+  if (warnings.length) {
+    await Notification.insertMany(warnings.map(user => ({
+      user: user._id,
+      type: 'trust_decay_warning',
+      message: `You have been inactive for a while. Your trust score will start to decrease by up to ${policy.pointsPerPeriod} points every ${policy.periodDays} days unless you sign in.`
+    })));
+  }
+
+  const due = await planDecay(policy, now);
+  for (const { user, points, inactiveDays } of due) {
+    try {
+      await recordTrustEvent(user._id, 'inactivity_decay', {
+        points: -points,
+        description: `No activity for ${inactiveDays} days`,
+        metadata: { inactiveDays, policy }
+      });
+    } catch (error) {
+      console.error(`Trust decay for ${user._id} failed:`, error);
+    }
+  }
+};
+
+// What the next decay run would do under a policy, without changing anything
+const previewDecay = async (overrides = {}) => {
+  const rule = await getTrustRule('inactivity_decay');
+  const policy = getDecayPolicy(overrides);
+  const now = new Date();
+
+  const [due, warnings] = await Promise.all([planDecay(policy, now), planWarnings(policy, now)]);
+
+  return {
+    enabled: rule.isActive,
+    policy,
+    affectedUsers: due.length,
+    pointsRemoved: due.reduce((sum, entry) => sum + entry.points, 0),
+    // Points these users hold above the baseline, i.e. the most decay could remove over time
+    pointsAtRisk: due.reduce((sum, entry) => sum + (entry.user.trustScore - BASE_SCORE), 0),
+    warnedUsers: warnings.length,
+    users: due
+      .sort((a, b) => b.user.trustScore - a.user.trustScore)
+      .slice(0, 50)
+      .map(({ user, points, inactiveDays }) => ({
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        trustScore: user.trustScore,
+        newTrustScore: user.trustScore - points,
+        inactiveDays
+      }))
+  };
+};
+
+module.exports = {
+  getDecayPolicy,
+  planDecay,
+  planWarnings,
+  processTrustDecay,
+  previewDecay
+};
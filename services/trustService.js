@@ -0,0 +1,402 @@
+const User = require('../models/User');
+const TrustLog = require('../models/TrustLog');
+const TrustVote = require('../models/TrustVote');
+const TrustRule = require('../models/TrustRule');
+
+// Every user starts here (matches the User.trustScore default); the ledger holds all changes
+const BASE_SCORE = 30;
+const MIN_SCORE = 0;
+const MAX_SCORE = 100;
+
+// Points for a single up or down vote from a voter at full weight
+const VOTE_POINTS = 5;
+
+// Voter and target must both have been on the project this long before either can vote
+const MIN_SHARED_MEMBERSHIP_DAYS = parseInt(process.env.TRUST_VOTE_MIN_SHARED_DAYS) || 7;
+
+// Accounts younger than this cast proportionally lighter votes
+const FULL_WEIGHT_ACCOUNT_AGE_DAYS = parseInt(process.env.TRUST_VOTE_FULL_WEIGHT_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every event that can change a trust score, with the rule each starts from before an admin
+// edits it (see TrustRule). Fixed-point events ignore any points passed in. Locked rules keep
+// the ledger consistent (withdrawals, corrections) and cannot be capped or switched off.
+const DEFAULT_TRUST_RULES = {
+  opening_balance: { variable: true, lifetimeCap: 1, locked: true, description: 'Score carried over from before the trust ledger' },
+  account_created: { points: 0, lifetimeCap: 1, description: 'Account created' },
+  profile_completed: { points: 5, lifetimeCap: 1, description: 'Profile completed' },
+  project_joined: { points: 2, dailyCap: 5, description: 'Joined a project' },
+  task_completed: { points: 3, dailyCap: 10, description: 'Completed a task' },
+  vote_received: { variable: true, description: 'Received a peer vote' },
+  vote_retracted: { variable: true, locked: true, description: 'Peer vote withdrawn' },
+  // Off until an admin has previewed the decay policy and activates this rule
+  inactivity_decay: { variable: true, isActive: false, description: 'Inactivity decay' },
+  admin_adjustment: { variable: true, locked: true, description: 'Adjusted by an admin' },
+  manual_adjustment: { variable: true, locked: true, description: 'Manual adjustment' }
+};
+
+// Rules are read on every event, so keep them briefly; other instances pick up edits within a minute
+const RULE_CACHE_MS = 60 * 1000;
+const ruleCache = new Map();
+
+const TRUST_RULE_FIELDS = ['points', 'dailyCap', 'lifetimeCap', 'cooldownMinutes', 'isActive', 'description'];
+
+const clamp = (score) => Math.max(MIN_SCORE, Math.min(MAX_SCORE, score));
+
+// Replay ledger entries (oldest first) into a score
+const foldLedger = (entries) => entries.reduce((score, entry) => clamp(score + entry.points), BASE_SCORE);
+
+// Apply points to the cached score in one atomic, clamped update. Returns the new score and
+// the change actually applied (less than requested at 0 or 100), or null for an unknown user.
+const applyPoints = async (userId, points) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    [{
+      $set: {
+        trustScore: { $min: [MAX_SCORE, { $max: [MIN_SCORE, { $add: [{ $ifNull: ['$trustScore', BASE_SCORE] }, points] }] }] }
+      }
+    }],
+    { new: false, projection: { trustScore: 1 } }
+  );
+  if (!user) return null;
+
+  const previous = user.trustScore ?? BASE_SCORE;
+  const trustScore = clamp(previous + points);
+  return { trustScore, applied: Math.round((trustScore - previous) * 10) / 10 };
+};
+
+// Current rule for an action, creating version 1 from the defaults the first time it is used
+const getTrustRule = async (action) => {
+  const defaults = DEFAULT_TRUST_RULES[action];
+  if (!defaults) {
+    throw new Error(`Unknown trust event: ${action}`);
+  }
+
+  const cached = ruleCache.get(action);
+  if (cached && cached.expiresAt > Date.now()) return cached.rule;
+
+  const { locked, ...fields } = defaults;
+  const rule = await TrustRule.findCurrent(action).lean() || await TrustRule.findOneAndUpdate(
+    { action, version: 1 },
+    { $setOnInsert: fields },
+    { upsert: true, new: true, setDefaultsOnInsert: true, lean: true }
+  );
+
+  ruleCache.set(action, { rule, expiresAt: Date.now() + RULE_CACHE_MS });
+  return rule;
+};
+
+// Current version of every rule in the catalog
+const listTrustRules = async () => {
+  const rules = await Promise.all(Object.keys(DEFAULT_TRUST_RULES).map(getTrustRule));
+  return rules.map(rule => ({ ...rule, locked: Boolean(DEFAULT_TRUST_RULES[rule.action].locked) }));
+};
+
+// All versions of a rule, newest first
+const getTrustRuleHistory = async (action) => {
+  await getTrustRule(action);
+  return TrustRule.find({ action }).sort({ version: -1 }).populate('changedBy', 'name email').lean();
+};
+
+// Save an edited rule as a new version; throws with statusCode 400 for changes the rule cannot take
+const updateTrustRule = async (action, changes, { changedBy, changeNote } = {}) => {
+  const current = await getTrustRule(action);
+  const defaults = DEFAULT_TRUST_RULES[action];
+
+  const invalid = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+  if (defaults.locked && TRUST_RULE_FIELDS.some(field => field !== 'description' && changes[field] !== undefined)) {
+    throw invalid('This rule keeps the trust ledger consistent; only its description can be changed');
+  }
+  if (current.variable && changes.points !== undefined) {
+    throw invalid('Points for this rule are set per event and cannot be configured');
+  }
+
+  const { _id, createdAt, updatedAt, __v, ...previous } = current;
+  const next = { ...previous, changedBy, changeNote, version: current.version + 1 };
+  for (const field of TRUST_RULE_FIELDS) {
+    if (changes[field] !== undefined) next[field] = changes[field];
+  }
+
+  // The unique (action, version) index turns a concurrent edit into a duplicate key error
+  const rule = await TrustRule.create(next);
+  ruleCache.delete(action);
+  return rule;
+};
+
+// Why an event may not be recorded under this rule right now, or null when it may
+const checkRuleLimits = async (userId, rule) => {
+  if (!rule.isActive) return 'inactive';
+
+  const history = { user: userId, action: rule.action };
+
+  if (rule.lifetimeCap && await TrustLog.countDocuments(history) >= rule.lifetimeCap) {
+    return 'lifetime_cap';
+  }
+
+  if (rule.dailyCap) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (await TrustLog.countDocuments({ ...history, createdAt: { $gte: since } }) >= rule.dailyCap) {
+      return 'daily_cap';
+    }
+  }
+
+  if (rule.cooldownMinutes) {
+    const since = new Date(Date.now() - rule.cooldownMinutes * 60 * 1000);
+    if (await TrustLog.exists({ ...history, createdAt: { $gte: since } })) {
+      return 'cooldown';
+    }
+  }
+
+  return null;
+};
+
+// Record a scoring event under the current rule: update the cached score, then append the
+// change actually applied to the ledger, so withdrawing it later cannot overshoot (a failed
+// append leaves drift that recomputeTrustScore repairs). Returns { log, trustScore }, or null
+// when the rule's caps or cooldown skip it or the user does not exist.
+const recordTrustEvent = async (userId, action, { points, project, description, metadata = {} } = {}) => {
+  const rule = await getTrustRule(action);
+
+  const delta = rule.variable ? Number(points) : rule.points;
+  if (!Number.isFinite(delta)) {
+    throw new Error(`Trust event ${action} requires numeric points`);
+  }
+
+  if (await checkRuleLimits(userId, rule)) {
+    return null;
+  }
+
+  let trustScore;
+  let applied = delta;
+  if (delta !== 0) {
+    const result = await applyPoints(userId, delta);
+    if (!result) return null;
+    ({ trustScore, applied } = result);
+  }
+
+  const log = await TrustLog.create({
+    user: userId,
+    action,
+    project,
+    points: applied,
+    requestedPoints: applied !== delta ? delta : undefined,
+    ruleVersion: rule.version,
+    description: description || rule.description,
+    metadata
+  });
+
+  return { log, trustScore };
+};
+
+// Points the ledger currently holds for one vote
+const getVotePoints = async (voteId) => {
+  const [total] = await TrustLog.aggregate([
+    { $match: { 'metadata.voteId': voteId } },
+    { $group: { _id: null, points: { $sum: '$points' } } }
+  ]);
+  return total ? total.points : 0;
+};
+
+// Vote weight from the voter's trust (0.5-1.5) scaled down for young accounts (0.1-1)
+const getVoteWeight = (voter, now = Date.now()) => {
+  const trust = Math.max(MIN_SCORE, Math.min(MAX_SCORE, voter.trustScore ?? BASE_SCORE));
+  const createdAt = voter.createdAt || voter._id.getTimestamp();
+  const ageDays = (now - new Date(createdAt).getTime()) / DAY_MS;
+  const ageFactor = Math.max(0.1, Math.min(1, ageDays / FULL_WEIGHT_ACCOUNT_AGE_DAYS));
+  return Math.round((0.5 + trust / 100) * ageFactor * 100) / 100;
+};
+
+// Why the voter may not vote on the target in this project yet, or null when they may
+const checkVoteEligibility = (project, voterId, targetId, now = Date.now()) => {
+  const membership = (userId) => project.members.find(member => member.user.toString() === userId.toString());
+  const voterMembership = membership(voterId);
+  const targetMembership = membership(targetId);
+
+  if (!voterMembership) return 'Only project members can vote';
+  if (!targetMembership) return 'Target user is not a member of this project';
+
+  const sharedSince = Math.max(new Date(voterMembership.joinedAt).getTime(), new Date(targetMembership.joinedAt).getTime());
+  if (now - sharedSince < MIN_SHARED_MEMBERSHIP_DAYS * DAY_MS) {
+    return `You can vote once you have both been on this project for ${MIN_SHARED_MEMBERSHIP_DAYS} days`;
+  }
+
+  return null;
+};
+
+// Withdraw whatever the ledger credited for a vote; returns the points withdrawn
+const retractVotePoints = async (trustVote, description) => {
+  const credited = await getVotePoints(trustVote._id);
+  if (credited !== 0) {
+    await recordTrustEvent(trustVote.target, 'vote_retracted', {
+      points: -credited,
+      project: trustVote.project,
+      description,
+      metadata: { voteId: trustVote._id, voter: trustVote.voter }
+    });
+  }
+  return credited;
+};
+
+// Upsert a peer vote (voter is a user, project a project document) and record the weighted
+// score change for the target. A changed vote first withdraws whatever the old one was
+// credited, so the ledger always explains the current votes. Throws with statusCode 403
+// when the voter is not eligible.
+const castVote = async ({ voter, target, project, vote }) => {
+  const ineligible = checkVoteEligibility(project, voter._id, target);
+  if (ineligible) {
+    throw Object.assign(new Error(ineligible), { statusCode: 403 });
+  }
+
+  const key = { voter: voter._id, target, project: project._id };
+  const weight = getVoteWeight(voter);
+  const update = { vote, weight, updatedAt: new Date() };
+
+  // Insert, or change the vote only while it still holds the value read, so concurrent
+  // requests cannot both be credited; a lost race re-reads and tries again
+  let previous = await TrustVote.findOne(key);
+  let trustVote = null;
+  for (let attempt = 0; attempt < 3 && !trustVote; attempt++) {
+    if (previous && previous.vote === vote) {
+      return { trustVote: previous, changed: false };
+    }
+
+    try {
+      trustVote = previous
+        ? await TrustVote.findOneAndUpdate({ _id: previous._id, vote: previous.vote }, update, { new: true })
+        : await TrustVote.create({ ...key, ...update });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    if (!trustVote) previous = await TrustVote.findOne(key);
+  }
+
+  if (!trustVote) {
+    throw Object.assign(new Error('This vote is being changed, please try again'), { statusCode: 409 });
+  }
+
+  if (previous) {
+    await retractVotePoints(trustVote, `${previous.vote === 1 ? 'Upvote' : 'Downvote'} withdrawn`);
+  }
+
+  const result = await recordTrustEvent(target, 'vote_received', {
+    points: Math.round(vote * VOTE_POINTS * weight * 10) / 10,
+    project: project._id,
+    description: vote === 1 ? 'Received an upvote' : 'Received a downvote',
+    metadata: { voteId: trustVote._id, voter: voter._id, weight }
+  });
+
+  return { trustVote, changed: true, trustScore: result ? result.trustScore : undefined };
+};
+
+// Remove a vote (e.g. after moderation) and withdraw its points from the target
+const voidVote = async (voteId, description = 'Vote removed by moderation') => {
+  const trustVote = await TrustVote.findById(voteId);
+  if (!trustVote) return null;
+
+  const withdrawn = await retractVotePoints(trustVote, description);
+  await trustVote.deleteOne();
+  return { trustVote, withdrawn };
+};
+
+// Rebuild the cached score from the ledger; returns the previous and recomputed scores
+const recomputeTrustScore = async (userId) => {
+  const user = await User.findById(userId).select('trustScore');
+  if (!user) return null;
+
+  const entries = await TrustLog.find({ user: userId }).sort({ createdAt: 1, _id: 1 }).select('points');
+  const trustScore = foldLedger(entries);
+
+  if (trustScore !== user.trustScore) {
+    await User.updateOne({ _id: userId }, { trustScore });
+  }
+
+  return { previous: user.trustScore, trustScore };
+};
+
+// Recompute every user's score; returns how many cached scores had drifted from the ledger
+const recomputeAllTrustScores = async () => {
+  const users = await User.find().select('_id');
+  let drifted = 0;
+
+  for (const { _id } of users) {
+    const result = await recomputeTrustScore(_id);
+    if (result && result.previous !== result.trustScore) drifted += 1;
+  }
+
+  return { scanned: users.length, drifted };
+};
+
+// One-off migration to the ledger: carry each user's current score over as an opening
+// balance, then add ledger entries for peer votes that were never scored
+const migrateToLedger = async () => {
+  const users = await User.find().select('trustScore createdAt');
+  const openingRule = await getTrustRule('opening_balance');
+  const voteRule = await getTrustRule('vote_received');
+  let openingBalances = 0;
+  let votesBackfilled = 0;
+
+  for (const user of users) {
+    if (!await TrustLog.exists({ user: user._id, action: 'opening_balance' })) {
+      const entries = await TrustLog.find({ user: user._id }).sort({ createdAt: 1, _id: 1 }).select('points');
+      const difference = (user.trustScore ?? BASE_SCORE) - foldLedger(entries);
+
+      if (difference !== 0) {
+        // Dated at sign-up so it replays before every other entry
+        await TrustLog.create({
+          user: user._id,
+          action: 'opening_balance',
+          points: difference,
+          ruleVersion: openingRule.version,
+          description: openingRule.description,
+          createdAt: user.createdAt || user._id.getTimestamp()
+        });
+        openingBalances += 1;
+      }
+    }
+
+    const votes = await TrustVote.find({ target: user._id });
+    for (const vote of votes) {
+      if (await TrustLog.exists({ 'metadata.voteId': vote._id })) continue;
+
+      await TrustLog.create({
+        user: user._id,
+        action: 'vote_received',
+        project: vote.project,
+        points: vote.vote * VOTE_POINTS * (vote.weight ?? 1),
+        ruleVersion: voteRule.version,
+        description: vote.vote === 1 ? 'Received an upvote' : 'Received a downvote',
+        metadata: { voteId: vote._id, voter: vote.voter },
+        createdAt: vote.createdAt
+      });
+      votesBackfilled += 1;
+    }
+
+    await recomputeTrustScore(user._id);
+  }
+
+  return { scanned: users.length, openingBalances, votesBackfilled };
+};
+
+module.exports = {
+  BASE_SCORE,
+  VOTE_POINTS,
+  MIN_SHARED_MEMBERSHIP_DAYS,
+  DEFAULT_TRUST_RULES,
+  foldLedger,
+  getTrustRule,
+  listTrustRules,
+  getTrustRuleHistory,
+  updateTrustRule,
+  checkRuleLimits,
+  recordTrustEvent,
+  getVoteWeight,
+  checkVoteEligibility,
+  castVote,
+  voidVote,
+  recomputeTrustScore,
+  recomputeAllTrustScores,
+  migrateToLedger
+};
@@ -0,0 +1,407 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Models run against an in-memory database; everything else (auth service, throttling,
+// tokens, sessions, mail capture) is the real implementation
+const memoryDb = require('./helpers/memoryDb');
+const User = require('../models/User');
+const University = require('../models/University');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const Notification = require('../models/Notification');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { generateRecoveryCodes } = require('../utils/twoFactor');
+const { getCapturedMail, clearCapturedMail } = require('../utils/mailer');
+const { socketAuth, checkSocketSession } = require('../middleware/auth');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+const PASSWORD = 'correct-horse';
+
+beforeAll(() => {
+  memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear();
+  clearCapturedMail();
+  await University.create({ name: 'MIT', domains: ['mit.edu'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const createUser = (fields) => User.create({ name: 'Ada Lovelace', email: 'ada@mit.edu', password: PASSWORD, university: 'MIT', ...fields });
+
+// Ids and tokens differ between runs; everything else must match
+const VARYING_FIELDS = ['_id', 'token', 'refreshToken', 'challengeToken'];
+const stripVarying = (body) => JSON.parse(JSON.stringify(body), (key, value) => (VARYING_FIELDS.includes(key) ? undefined : value));
+
+// Send the same request to /api/auth and the legacy /api/users alias, each from the same
+// starting state (prepared by `setup` after the database is emptied)
+const sendToBoth = async (path, body, setup = async () => {}) => {
+  const responses = [];
+  for (const prefix of ['/api/auth', '/api/users']) {
+    memoryDb.clear();
+    await University.create({ name: 'MIT', domains: ['mit.edu'] });
+    await setup();
+    responses.push(await request(app).post(`${prefix}${path}`).send(body));
+  }
+  return responses;
+};
+
+const expectSameResponse = ([current, legacy], path) => {
+  expect(legacy.status).toBe(current.status);
+  expect(stripVarying(legacy.body)).toEqual(stripVarying(current.body));
+  expect(current.headers.deprecation).toBeUndefined();
+  expect(current.headers.link).toBeUndefined();
+  expect(legacy.headers.deprecation).toBe('true');
+  expect(legacy.headers.link).toBe(`</api/auth${path}>; rel="successor-version"`);
+};
+
+// Move the clock forward without faking the timers supertest relies on
+const advanceClock = (ms) => {
+  const now = Date.now();
+  jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'] });
+  jest.setSystemTime(now + ms);
+};
+
+describe('POST /register', () => {
+  const registration = { name: 'Alan Turing', email: 'alan@mit.edu', password: PASSWORD };
+
+  it('registers on both paths with the university from the email domain', async () => {
+    const responses = await sendToBoth('/register', registration);
+
+    expectSameResponse(responses, '/register');
+    const [current] = responses;
+    expect(current.status).toBe(201);
+    expect(current.body.user).toMatchObject({ email: 'alan@mit.edu', university: 'MIT', role: 'user', isEmailVerified: false });
+
+    // The legacy run left its account behind; it was stored with a hashed password
+    const user = await User.findOne({ email: 'alan@mit.edu' }).select('+password');
+    expect(user.password).not.toBe(PASSWORD);
+    expect(await user.comparePassword(PASSWORD)).toBe(true);
+    expect(user.universityId).toBeDefined();
+  });
+
+  it('issues a working access token and a session', async () => {
+    const response = await request(app).post('/api/auth/register').send(registration);
+
+    const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
+    const user = await User.findOne({ email: 'alan@mit.edu' });
+    expect(decoded.id).toBe(user._id.toString());
+    expect(await Session.countDocuments({ user: user._id, _id: decoded.sid })).toBe(1);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${response.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('sends a verification email', async () => {
+    await request(app).post('/api/users/register').send(registration);
+
+    const [mail] = getCapturedMail();
+    expect(mail.to).toBe('alan@mit.edu');
+    expect(mail.text).toMatch(/verify/i);
+  });
+
+  it('accepts a generic student domain when a university is given', async () => {
+    const responses = await sendToBoth('/register', { ...registration, email: 'alan@cs.state.edu', university: 'State University' });
+
+    expectSameResponse(responses, '/register');
+    expect(responses[0].status).toBe(201);
+    expect(responses[0].body.user.university).toBe('State University');
+  });
+
+  it('asks for a university on a generic student domain without one', async () => {
+    const responses = await sendToBoth('/register', { ...registration, email: 'alan@cs.state.edu' });
+
+    expectSameResponse(responses, '/register');
+    expect(responses[0].status).toBe(400);
+    expect(responses[0].body.message).toBe('Please enter your university');
+  });
+
+  it('rejects non-student email addresses', async () => {
+    const responses = await sendToBoth('/register', { ...registration, email: 'alan@gmail.com' });
+
+    expectSameResponse(responses, '/register');
+    expect(responses[0].status).toBe(400);
+    expect(responses[0].body.message).toBe('Please use your student/university email address to register.');
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    const responses = await sendToBoth('/register', { ...registration, email: 'ada@mit.edu' }, () => createUser());
+
+    expectSameResponse(responses, '/register');
+    expect(responses[0].status).toBe(400);
+    expect(responses[0].body.message).toBe('User already exists with this email');
+  });
+
+  it('returns the same validation errors', async () => {
+    const responses = await sendToBoth('/register', { name: 'A', email: 'not-an-email', password: '123' });
+
+    expectSameResponse(responses, '/register');
+    expect(responses[0].status).toBe(400);
+    expect(responses[0].body.errors.map(error => error.path)).toEqual(['name', 'email', 'password']);
+  });
+});
+
+describe('POST /login', () => {
+  const credentials = { email: 'ada@mit.edu', password: PASSWORD };
+
+  it('logs in on both paths', async () => {
+    const responses = await sendToBoth('/login', credentials, () => createUser());
+
+    expectSameResponse(responses, '/login');
+    expect(responses[0].status).toBe(200);
+    expect(responses[0].body).toMatchObject({ success: true, message: 'Login successful', user: { email: 'ada@mit.edu' } });
+    expect(responses[1].body.refreshToken).toEqual(expect.any(String));
+
+    const user = await User.findOne({ email: 'ada@mit.edu' });
+    expect(user.lastActive).toBeInstanceOf(Date);
+  });
+
+  it('rejects a wrong password and counts the failure for the account and the IP', async () => {
+    const responses = await sendToBoth('/login', { ...credentials, password: 'wrong-password' }, () => createUser());
+
+    expectSameResponse(responses, '/login');
+    expect(responses[0].status).toBe(401);
+    expect(responses[0].body.message).toBe('Invalid credentials');
+
+    const throttles = await LoginThrottle.find().sort({ type: 1 });
+    expect(throttles.map(entry => [entry.type, entry.failures])).toEqual([['account', 1], ['ip', 1]]);
+  });
+
+  it('rejects unknown and deactivated accounts', async () => {
+    const unknown = await sendToBoth('/login', { ...credentials, email: 'nobody@mit.edu' });
+    expectSameResponse(unknown, '/login');
+    expect(unknown[0].body.message).toBe('Invalid credentials');
+
+    const deactivated = await sendToBoth('/login', credentials, () => createUser({ isActive: false }));
+    expectSameResponse(deactivated, '/login');
+    expect(deactivated[0].body.message).toBe('Account is deactivated');
+  });
+
+  it('clears the account failure counter after a successful login', async () => {
+    await createUser();
+    await request(app).post('/api/auth/login').send({ ...credentials, password: 'wrong-password' });
+
+    const response = await request(app).post('/api/users/login').send(credentials);
+
+    expect(response.status).toBe(200);
+    expect(await LoginThrottle.countDocuments({ type: 'account' })).toBe(0);
+  });
+
+  describe('throttling', () => {
+    it('delays attempts after the free ones are used up, across both paths', async () => {
+      await createUser();
+      for (const prefix of ['/api/auth', '/api/users', '/api/auth']) {
+        await request(app).post(`${prefix}/login`).send({ ...credentials, password: 'wrong-password' });
+      }
+
+      const response = await request(app).post('/api/users/login').send(credentials);
+
+      expect(response.status).toBe(429);
+      expect(response.body).toMatchObject({ success: false, locked: false });
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('locks the account after repeated failures and notifies the user', async () => {
+      const user = await createUser();
+
+      // Wait out each progressive delay so every attempt reaches the password check
+      for (let attempt = 0; attempt < 10; attempt++) {
+        advanceClock(61 * 1000);
+        const prefix = attempt % 2 ? '/api/users' : '/api/auth';
+        const response = await request(app).post(`${prefix}/login`).send({ ...credentials, password: 'wrong-password' });
+        expect(response.status).toBe(401);
+      }
+
+      advanceClock(61 * 1000);
+      const responses = [
+        await request(app).post('/api/auth/login').send(credentials),
+        await request(app).post('/api/users/login').send(credentials)
+      ];
+
+      for (const response of responses) {
+        expect(response.status).toBe(429);
+        expect(response.body).toMatchObject({ locked: true, message: 'Account temporarily locked due to too many failed login attempts' });
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(13 * 60);
+      }
+      expect(await Notification.countDocuments({ user: user._id, type: 'account_locked' })).toBe(1);
+
+      // The lock expires on its own
+      advanceClock(16 * 60 * 1000);
+      const unlocked = await request(app).post('/api/auth/login').send(credentials);
+      expect(unlocked.status).toBe(200);
+    }, 30000);
+  });
+
+  describe('with two-factor auth enabled', () => {
+    const secret = generateSecret();
+    let recoveryCodes;
+
+    const createTwoFactorUser = () => {
+      const recovery = generateRecoveryCodes();
+      recoveryCodes = recovery.codes;
+      return createUser({
+        email: 'grace@mit.edu',
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorRecoveryCodes: recovery.hashes
+      });
+    };
+
+    const twoFactorCredentials = { email: 'grace@mit.edu', password: PASSWORD };
+
+    it('returns a challenge instead of tokens on both paths', async () => {
+      const responses = await sendToBoth('/login', twoFactorCredentials, createTwoFactorUser);
+
+      expectSameResponse(responses, '/login');
+      for (const response of responses) {
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, twoFactorRequired: true });
+        expect(response.body.challengeToken).toEqual(expect.any(String));
+        expect(response.body.token).toBeUndefined();
+      }
+      expect(await Session.countDocuments()).toBe(0);
+    });
+
+    it('completes the login with a challenge from either path', async () => {
+      for (const prefix of ['/api/auth', '/api/users']) {
+        memoryDb.clear();
+        await createTwoFactorUser();
+        const login = await request(app).post(`${prefix}/login`).send(twoFactorCredentials);
+
+        const response = await request(app).post('/api/auth/login/2fa').send({
+          challengeToken: login.body.challengeToken,
+          code: generateCode(secret)
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, user: { email: 'grace@mit.edu' }, recoveryCodesRemaining: 10 });
+        expect(jwt.verify(response.body.token, process.env.JWT_SECRET).sid).toEqual(expect.any(String));
+      }
+    });
+
+    it('does not accept the same code twice', async () => {
+      await createTwoFactorUser();
+      const code = generateCode(secret);
+
+      for (const expected of [200, 401]) {
+        const login = await request(app).post('/api/users/login').send(twoFactorCredentials);
+        const response = await request(app).post('/api/auth/login/2fa').send({ challengeToken: login.body.challengeToken, code });
+        expect(response.status).toBe(expected);
+      }
+    });
+
+    it('consumes a recovery code', async () => {
+      await createTwoFactorUser();
+      const login = await request(app).post('/api/auth/login').send(twoFactorCredentials);
+
+      const response = await request(app).post('/api/auth/login/2fa').send({
+        challengeToken: login.body.challengeToken,
+        recoveryCode: recoveryCodes[0]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+    });
+
+    it('rejects a wrong code and counts it as a failed login', async () => {
+      await createTwoFactorUser();
+      const login = await request(app).post('/api/users/login').send(twoFactorCredentials);
+      const wrongCode = String((Number(generateCode(secret)) + 1) % 1000000).padStart(6, '0');
+
+      const response = await request(app).post('/api/auth/login/2fa').send({
+        challengeToken: login.body.challengeToken,
+        code: wrongCode
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Invalid authentication code');
+      expect((await LoginThrottle.findOne({ type: 'account' })).failures).toBe(1);
+    });
+
+    it('rejects a challenge that is not a challenge token', async () => {
+      const user = await createTwoFactorUser();
+      const accessLike = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+      const response = await request(app).post('/api/auth/login/2fa').send({ challengeToken: accessLike, code: generateCode(secret) });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
+
+describe('socket sessions', () => {
+  // Run the Socket.IO handshake middleware against a stand-in socket
+  const connectSocket = async (token) => {
+    const socket = { handshake: { auth: { token }, headers: {}, address: '127.0.0.1' } };
+    const error = await new Promise(resolve => socketAuth(socket, resolve));
+    expect(error).toBeUndefined();
+    return socket;
+  };
+
+  const login = async () => {
+    const response = await request(app).post('/api/auth/login').send({ email: 'ada@mit.edu', password: PASSWORD });
+    return response.body.token;
+  };
+
+  let revoked;
+  const onRevoked = (event) => revoked.push(event);
+
+  beforeEach(async () => {
+    revoked = [];
+    Session.revocations.on('revoked', onRevoked);
+    await createUser({ isEmailVerified: true });
+  });
+
+  afterEach(() => {
+    Session.revocations.off('revoked', onRevoked);
+  });
+
+  it('keeps a socket whose session is still active', async () => {
+    const socket = await connectSocket(await login());
+
+    expect(await checkSocketSession(socket)).toEqual({});
+  });
+
+  it('announces and rejects a session ended by logout', async () => {
+    const token = await login();
+    const socket = await connectSocket(token);
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    expect(revoked).toEqual([{ sessionId: socket.sessionId }]);
+    expect((await checkSocketSession(socket)).error).toBe('Session has been revoked, please log in again');
+  });
+
+  it('announces and rejects every session after a password change', async () => {
+    const token = await login();
+    const other = await connectSocket(await login());
+
+    await request(app).put('/api/auth/password').set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: PASSWORD, newPassword: 'battery-staple' });
+
+    expect(revoked).toEqual([{ userId: other.user._id.toString(), exceptSessionId: undefined }]);
+    expect((await checkSocketSession(other)).error).toBe('Token has been revoked, please log in again');
+  });
+
+  it('rejects a socket once the account is deactivated', async () => {
+    const socket = await connectSocket(await login());
+
+    await User.updateOne({ _id: socket.user._id }, { isActive: false });
+
+    expect((await checkSocketSession(socket)).error).toBe('Account is deactivated');
+  });
+});
@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+const { ObjectId } = require('mongodb');
+
+// In-memory stand-in for the MongoDB driver, so models, hooks and queries run for real
+// without a database server. Queries, updates (including pipeline updates and upserts) and
+// aggregations are evaluated by mingo; unique indexes declared on schemas are enforced.
+
+mongoose.set('autoIndex', false);
+mongoose.set('autoCreate', false);
+mongoose.set('bufferCommands', false);
+
+const collections = new Map();
+
+const clone = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value instanceof ObjectId || value._bsontype) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const duplicateKeyError = (collectionName, key) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${Object.keys(key).join('_')}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyValue = key;
+  return error;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Fields of an upsert filter that seed the inserted document
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$') || key.includes('.')) continue;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId)) {
+      if ('$eq' in value) doc[key] = clone(value.$eq);
+      continue;
+    }
+    doc[key] = clone(value);
+  }
+  return doc;
+};
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.results = null;
+    this.position = 0;
+  }
+
+  async toArray() {
+    if (!this.results) this.results = this.load();
+    return this.results.slice(this.position).map(clone);
+  }
+
+  async next() {
+    if (!this.results) this.results = this.load();
+    return this.position < this.results.length ? clone(this.results[this.position++]) : null;
+  }
+
+  async close() {}
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  queryOptions() {
+    return { collectionResolver: (name) => (collections.get(name) || new MemoryCollection(name)).docs };
+  }
+
+  matching(filter = {}) {
+    return mingo.find(this.docs, filter, undefined, this.queryOptions()).all();
+  }
+
+  select(filter, { sort, skip, limit, projection } = {}) {
+    let cursor = mingo.find(this.docs, filter || {}, projection && Object.keys(projection).length ? projection : undefined, this.queryOptions());
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  checkUnique(candidate) {
+    for (const fields of this.uniqueIndexes) {
+      const key = Object.fromEntries(fields.map(field => [field, getPath(candidate, field)]));
+      if (fields.every(field => key[field] === undefined)) continue;
+      const clash = this.docs.find(doc => doc !== candidate && doc._id !== candidate._id &&
+        fields.every(field => mingo.find([doc], { [field]: key[field] }).all().length === 1));
+      if (clash) throw duplicateKeyError(this.name, key);
+    }
+  }
+
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  // Apply an update to one stored document, rolling back if it breaks a unique index
+  applyUpdate(doc, update, options = {}, inserting = false) {
+    const before = clone(doc);
+    let modifier = update;
+    if (!Array.isArray(update)) {
+      const { $setOnInsert, ...rest } = update;
+      modifier = inserting && $setOnInsert ? { ...rest, $set: { ...$setOnInsert, ...rest.$set } } : rest;
+      if (!Object.keys(modifier).length) return;
+    }
+
+    // Pipeline updates replace the array entry rather than modifying it
+    const target = [doc];
+    mingo.updateOne(target, {}, modifier, { arrayFilters: options.arrayFilters }, this.queryOptions());
+    if (target[0] !== doc) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, target[0]);
+    }
+
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+  }
+
+  upsert(filter, update, options) {
+    const doc = seedFromFilter(filter);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.applyUpdate(doc, update, options, true);
+    return this.insert(doc);
+  }
+
+  find(filter, options) {
+    return new Cursor(() => this.select(filter, options));
+  }
+
+  async findOne(filter, options) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? clone(doc) : null;
+  }
+
+  async countDocuments(filter) {
+    return this.matching(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = [];
+    for (const doc of this.matching(filter)) {
+      const value = getPath(doc, field);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && !values.some(existing => mingo.find([{ v: existing }], { v: item }).all().length)) {
+          values.push(clone(item));
+        }
+      }
+    }
+    return values;
+  }
+
+  aggregate(pipeline) {
+    return new Cursor(() => mingo.aggregate(this.docs, pipeline, this.queryOptions()));
+  }
+
+  async insertOne(doc) {
+    const stored = this.insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    docs.forEach((doc, index) => {
+      insertedIds[index] = this.insert(doc)._id;
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.matching(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const inserted = this.upsert(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    this.applyUpdate(doc, update, options);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.matching(filter);
+    if (!docs.length && options.upsert) return this.updateOne(filter, update, options);
+    docs.forEach(doc => this.applyUpdate(doc, update, options));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const [doc] = this.matching(filter);
+    if (!doc) return this.updateOne(filter, { $set: replacement }, options);
+    const { _id } = doc;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, clone(replacement), { _id });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    let result = null;
+
+    if (doc) {
+      const before = clone(doc);
+      this.applyUpdate(doc, update, options);
+      result = options.returnDocument === 'after' ? clone(doc) : before;
+    } else if (options.upsert) {
+      const inserted = this.upsert(filter, update, options);
+      result = options.returnDocument === 'after' ? clone(inserted) : null;
+    }
+
+    if (result && options.projection && Object.keys(options.projection).length) {
+      result = mingo.find([result], {}, options.projection).all()[0];
+    }
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const result = doc ? clone(doc) : null;
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.matching(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = new Set(this.matching(filter));
+    this.docs = this.docs.filter(doc => !docs.has(doc));
+    return { acknowledged: true, deletedCount: docs.size };
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [type, spec] = Object.entries(operation)[0];
+      if (type === 'insertOne') {
+        await this.insertOne(spec.document);
+        result.insertedCount += 1;
+      } else if (type === 'updateOne' || type === 'updateMany') {
+        const outcome = await this[type](spec.filter, spec.update, spec);
+        result.matchedCount += outcome.matchedCount;
+        result.modifiedCount += outcome.modifiedCount;
+        result.upsertedCount += outcome.upsertedCount;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        result.deletedCount += (await this[type](spec.filter)).deletedCount;
+      }
+    }
+    return result;
+  }
+
+  async createIndex() {}
+
+  async dropIndexes() {}
+}
+
+const db = {
+  collection(name) {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+    return collections.get(name);
+  }
+};
+
+// Register unique indexes for every compiled model
+const registerIndexes = () => {
+  for (const model of Object.values(mongoose.models)) {
+    const collection = db.collection(model.collection.collectionName);
+    collection.uniqueIndexes = model.schema.indexes()
+      .filter(([, options]) => options && options.unique)
+      .map(([fields]) => Object.keys(fields));
+    model.schema.eachPath((path, schemaType) => {
+      if (schemaType.options && schemaType.options.unique && !collection.uniqueIndexes.some(fields => fields.length === 1 && fields[0] === path)) {
+        collection.uniqueIndexes.push([path]);
+      }
+    });
+  }
+};
+
+// Point the default connection at the in-memory database
+const connect = () => {
+  const connection = mongoose.connection;
+  connection.db = db;
+  for (const collection of Object.values(connection.collections)) {
+    collection.collection = db.collection(collection.collectionName);
+  }
+  registerIndexes();
+};
+
+// Empty every collection (call between tests)
+const clear = () => {
+  for (const collection of collections.values()) {
+    collection.docs = [];
+  }
+};
+
+module.exports = { connect, clear, collection: (name) => db.collection(name) };
@@ -0,0 +1,39 @@
+// Lightweight user-agent parsing for session listings (no external dependency)
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Safari', pattern: /Safari\// },
+  { name: 'Postman', pattern: /PostmanRuntime\// },
+  { name: 'curl', pattern: /^curl\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(entry => entry.pattern.test(userAgent));
+  return found ? found.name : null;
+};
+
+// Describe a user agent as e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = match(BROWSERS, userAgent);
+  const os = match(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+module.exports = { describeDevice };
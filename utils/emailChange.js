@@ -0,0 +1,73 @@
+const jwt = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const TOKEN_PURPOSE = 'email-change';
+const TOKEN_EXPIRE = process.env.EMAIL_CHANGE_EXPIRE || '24h';
+
+// Minimum time between change-email requests for one account
+const REQUEST_INTERVAL_MS = 60 * 1000;
+
+const getClientUrl = () => process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Token bound to both the current and the requested address
+const generateEmailChangeToken = (user, newEmail) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, newEmail, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_EXPIRE }
+  );
+};
+
+// Decode a change-email token; throws if the signature, expiry or purpose is wrong
+const decodeEmailChangeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
+// Send the confirmation link to the new address and a heads-up to the old one
+const sendEmailChangeRequest = async (user, newEmail) => {
+  const token = generateEmailChangeToken(user, newEmail);
+  const link = `${getClientUrl()}/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new UniConnect email address',
+    text: `Hi ${user.name},\n\nOpen the link below to start using this address for your UniConnect account:\n\n${link}\n\nThe link expires in ${TOKEN_EXPIRE}. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Click the link below to start using this address for your UniConnect account:</p><p><a href="${link}">Confirm new email</a></p><p>The link expires in ${TOKEN_EXPIRE}. If you did not request this, you can ignore this email.</p>`
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Email change requested for your UniConnect account',
+    text: `Hi ${user.name},\n\nSomeone asked to change the email address on your UniConnect account to ${newEmail}. Nothing changes until the new address is confirmed. If this was not you, change your password now.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to change the email address on your UniConnect account to <strong>${escapeHtml(newEmail)}</strong>. Nothing changes until the new address is confirmed. If this was not you, change your password now.</p>`
+  });
+};
+
+// Tell the old address the change went through
+const sendEmailChangedNotice = async (user, oldEmail) => {
+  await sendMail({
+    to: oldEmail,
+    subject: 'Your UniConnect email address was changed',
+    text: `Hi ${user.name},\n\nThe email address on your UniConnect account was changed to ${user.email}. If this was not you, contact support immediately.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>The email address on your UniConnect account was changed to <strong>${escapeHtml(user.email)}</strong>. If this was not you, contact support immediately.</p>`
+  });
+};
+
+// Milliseconds until another change request may be made (0 if allowed now)
+const getRequestWaitMs = (user) => {
+  if (!user.pendingEmailRequestedAt) return 0;
+  const elapsed = Date.now() - user.pendingEmailRequestedAt.getTime();
+  return Math.max(0, REQUEST_INTERVAL_MS - elapsed);
+};
+
+module.exports = {
+  decodeEmailChangeToken,
+  sendEmailChangeRequest,
+  sendEmailChangedNotice,
+  getRequestWaitMs
+};
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const TOKEN_PURPOSE = 'email-verification';
+
+// Minimum time between verification emails for one account
+const RESEND_INTERVAL_MS = parseInt(process.env.EMAIL_VERIFY_RESEND_INTERVAL_MS) || 60 * 1000;
+
+const TOKEN_EXPIRE = process.env.EMAIL_VERIFY_EXPIRE || '24h';
+
+// Generate a signed, expiring verification token bound to the user's current email
+const generateVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_EXPIRE }
+  );
+};
+
+// Decode a verification token; throws if the signature, expiry or purpose is wrong
+const decodeVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
+// Send the verification email and record when it went out
+const sendVerificationEmail = async (user) => {
+  const token = generateVerificationToken(user);
+  const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  const link = `${clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your UniConnect email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${TOKEN_EXPIRE}. If you did not create a UniConnect account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify my email</a></p><p>The link expires in ${TOKEN_EXPIRE}. If you did not create a UniConnect account, you can ignore this email.</p>`
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  return token;
+};
+
+// Milliseconds until another verification email may be sent (0 if allowed now)
+const getResendWaitMs = (user) => {
+  if (!user.emailVerificationSentAt) return 0;
+  const elapsed = Date.now() - user.emailVerificationSentAt.getTime();
+  return Math.max(0, RESEND_INTERVAL_MS - elapsed);
+};
+
+module.exports = {
+  generateVerificationToken,
+  decodeVerificationToken,
+  sendVerificationEmail,
+  getResendWaitMs
+};
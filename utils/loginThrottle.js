@@ -0,0 +1,149 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const Notification = require('../models/Notification');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Check whether a login attempt may proceed for this email and IP
+const checkLoginAllowed = async (email, ip) => {
+  const entries = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+  const now = new Date();
+
+  for (const entry of entries) {
+    if (entry.isLocked()) {
+      return {
+        allowed: false,
+        locked: true,
+        retryAfter: secondsUntil(entry.lockedUntil),
+        message: entry.type === 'account'
+          ? 'Account temporarily locked due to too many failed login attempts'
+          : 'Too many failed login attempts from this network'
+      };
+    }
+  }
+
+  for (const entry of entries) {
+    if (entry.nextAttemptAt && entry.nextAttemptAt > now) {
+      return {
+        allowed: false,
+        locked: false,
+        retryAfter: secondsUntil(entry.nextAttemptAt),
+        message: 'Too many failed login attempts, please wait before trying again'
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Add one failure to a key's counter in a single atomic upsert (MongoDB retries the upsert
+// when two first failures race on the unique key; the retry here covers older servers)
+const incrementFailures = async (key, type, userId, now) => {
+  const update = {
+    $inc: { failures: 1 },
+    $min: { firstFailureAt: now },
+    $set: { lastFailureAt: now, ...(userId ? { user: userId } : {}) },
+    $setOnInsert: { type }
+  };
+
+  try {
+    return await LoginThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return LoginThrottle.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+// Record one failed attempt against a key; returns the entry and whether it just locked
+const registerFailure = async (key, type, maxFailures, userId) => {
+  const now = new Date();
+
+  // Start counting again after a quiet period or an expired lockout
+  // (lockCount survives until the entry itself expires)
+  await LoginThrottle.updateOne(
+    {
+      key,
+      $or: [
+        { lockedUntil: { $lte: now } },
+        { lockedUntil: null, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } }
+      ]
+    },
+    { $set: { failures: 0 }, $unset: { firstFailureAt: 1, lockedUntil: 1 } }
+  );
+
+  let entry = await incrementFailures(key, type, userId, now);
+
+  // Progressive delay: 1s, 2s, 4s ... once the free attempts are used up
+  if (entry.failures >= FREE_ATTEMPTS) {
+    const delaySeconds = Math.min(2 ** (entry.failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+    await LoginThrottle.updateOne(
+      { _id: entry._id },
+      { $max: { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000) } }
+    );
+  }
+
+  // Lock once the limit is reached; resetting failures in the same update means only one
+  // of several concurrent attempts applies the lock
+  let justLocked = false;
+  if (entry.failures >= maxFailures) {
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { _id: entry._id, failures: { $gte: maxFailures } },
+      [
+        {
+          $set: {
+            lockedUntil: {
+              $add: [now, { $min: [{ $multiply: [LOCKOUT_MINUTES * 60 * 1000, { $pow: [2, '$lockCount'] }] }, MAX_LOCKOUT_MS] }]
+            },
+            lockCount: { $add: ['$lockCount', 1] },
+            failures: 0
+          }
+        },
+        { $unset: 'nextAttemptAt' }
+      ],
+      { new: true }
+    );
+    if (locked) {
+      entry = locked;
+      justLocked = true;
+    }
+  }
+
+  return { entry, justLocked };
+};
+
+// Record a failed login for the account and the IP; notifies the user on lockout
+const recordLoginFailure = async (email, ip, user) => {
+  const account = await registerFailure(accountKey(email), 'account', MAX_ACCOUNT_FAILURES, user && user._id);
+  await registerFailure(ipKey(ip), 'ip', MAX_IP_FAILURES);
+
+  if (account.justLocked && user) {
+    await Notification.create({
+      user: user._id,
+      type: 'account_locked',
+      message: `Your account was locked until ${account.entry.lockedUntil.toISOString()} after repeated failed login attempts. If this was not you, consider changing your password.`
+    });
+  }
+
+  return account;
+};
+
+// Clear the account counter after a successful login
+const recordLoginSuccess = (email) => {
+  return LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
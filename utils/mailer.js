@@ -0,0 +1,85 @@
+const nodemailer = require('nodemailer');
+
+// Messages captured by the local transport (used in development and tests); only the
+// most recent ones are kept so a long-running process cannot grow it without bound
+const outbox = [];
+const MAX_CAPTURED = 100;
+
+// Transport that records messages in memory instead of delivering them
+const captureTransport = {
+  name: 'capture',
+  version: '1.0.0',
+  send(mail, callback) {
+    const { from, to, subject, text, html } = mail.data;
+    const messageId = `<${Date.now()}.${outbox.length}@uniconnect.local>`;
+    outbox.push({ from, to, subject, text, html, messageId, sentAt: new Date() });
+    if (outbox.length > MAX_CAPTURED) outbox.splice(0, outbox.length - MAX_CAPTURED);
+    callback(null, { envelope: mail.message.getEnvelope(), messageId });
+  }
+};
+
+// Mail settings use the EMAIL_* names from .env; SMTP_* are accepted as aliases
+const mailEnv = (name) => process.env[`EMAIL_${name}`] || process.env[`SMTP_${name}`];
+
+// Pick a transport from the environment: SMTP when a host is configured, otherwise capture
+// (also forced with MAIL_TRANSPORT=capture, and under NODE_ENV=test)
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'capture' || process.env.NODE_ENV === 'test') {
+    return nodemailer.createTransport(captureTransport);
+  }
+
+  if (!mailEnv('HOST')) {
+    console.warn('⚠️  EMAIL_HOST is not set; outgoing mail is captured in memory and not delivered');
+    return nodemailer.createTransport(captureTransport);
+  }
+
+  const port = parseInt(mailEnv('PORT')) || 587;
+  return nodemailer.createTransport({
+    host: mailEnv('HOST'),
+    port,
+    secure: mailEnv('SECURE') ? mailEnv('SECURE') === 'true' : port === 465,
+    auth: mailEnv('USER') ? {
+      user: mailEnv('USER'),
+      pass: mailEnv('PASS')
+    } : undefined
+  });
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Swap the transport (e.g. a nodemailer transport or a custom one for tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'UniConnect <no-reply@uniconnect.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const getCapturedMail = () => outbox.slice();
+
+const clearCapturedMail = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  captureTransport,
+  sendMail,
+  setTransport,
+  getCapturedMail,
+  clearCapturedMail
+};
@@ -0,0 +1,31 @@
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const getClientUrl = () => process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Email the password reset link containing the raw (unhashed) token
+const sendPasswordResetEmail = async (user, resetToken) => {
+  const link = `${getClientUrl()}/reset-password?token=${encodeURIComponent(resetToken)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your UniConnect password',
+    text: `Hi ${user.name},\n\nSomeone requested a password reset for your UniConnect account. Open the link below to choose a new password:\n\n${link}\n\nThe link can be used once and expires in one hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone requested a password reset for your UniConnect account. Click the link below to choose a new password:</p><p><a href="${link}">Reset my password</a></p><p>The link can be used once and expires in one hour. If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+// Let the user know their password changed, in case it was not them
+const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your UniConnect password was changed',
+    text: `Hi ${user.name},\n\nThe password for your UniConnect account was just changed and all other sessions were signed out. If this was not you, reset your password immediately and contact support.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>The password for your UniConnect account was just changed and all other sessions were signed out. If this was not you, reset your password immediately and contact support.</p>`
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
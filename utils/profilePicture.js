@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Square WebP renditions generated for every upload
+const PICTURE_SIZES = {
+  thumb: 64,
+  medium: 256,
+  large: 512
+};
+
+const MAX_PICTURE_BYTES = (parseInt(process.env.PROFILE_PICTURE_MAX_MB) || 5) * 1024 * 1024;
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const FILENAME_PATTERN = /^\d+-(thumb|medium|large)\.webp$/;
+
+const pictureKey = (userId, version, size) => `avatars/${userId}/${version}-${size}.webp`;
+
+const pictureUrl = (userId, version, size = 'medium') => `/api/users/pictures/${userId}/${version}-${size}.webp`;
+
+// URLs for every rendition of a user's current picture (empty when none is set)
+const getPictureUrls = (user) => {
+  if (!user.profilePictureVersion) return {};
+
+  return Object.keys(PICTURE_SIZES).reduce((urls, size) => {
+    urls[size] = pictureUrl(user._id, user.profilePictureVersion, size);
+    return urls;
+  }, {});
+};
+
+// Decode the upload, reject anything that is not really an image, and store the renditions
+const storeProfilePicture = async (userId, buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+
+  if (!metadata || !ALLOWED_FORMATS.includes(metadata.format)) {
+    const error = new Error('File is not a supported image (JPEG, PNG, WebP or GIF)');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const version = Date.now();
+  const storage = getStorage();
+
+  for (const [size, pixels] of Object.entries(PICTURE_SIZES)) {
+    const output = await sharp(buffer)
+      .rotate()
+      .resize(pixels, pixels, { fit: 'cover' })
+      .webp({ quality: 82 })
+      .toBuffer();
+    await storage.save(pictureKey(userId, version, size), output, 'image/webp');
+  }
+
+  return version;
+};
+
+// Remove every rendition of one picture version
+const removeProfilePicture = async (userId, version) => {
+  if (!version) return;
+  const storage = getStorage();
+  await Promise.all(Object.keys(PICTURE_SIZES).map(size => storage.remove(pictureKey(userId, version, size))));
+};
+
+// Remove all stored pictures for a user (account deletion)
+const removeAllProfilePictures = async (userId) => {
+  await getStorage().removePrefix(`avatars/${userId}`);
+};
+
+const readProfilePicture = async (userId, filename) => {
+  if (!FILENAME_PATTERN.test(filename)) return null;
+  return getStorage().read(`avatars/${userId}/${filename}`);
+};
+
+module.exports = {
+  PICTURE_SIZES,
+  MAX_PICTURE_BYTES,
+  ALLOWED_MIME_TYPES,
+  pictureUrl,
+  getPictureUrls,
+  storeProfilePicture,
+  removeProfilePicture,
+  removeAllProfilePictures,
+  readProfilePicture
+};
@@ -0,0 +1,35 @@
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const getClientUrl = () => process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Digests are opt-in per saved search and can be switched off globally with SAVED_SEARCH_DIGEST=false
+const isDigestEnabled = () => process.env.SAVED_SEARCH_DIGEST !== 'false';
+
+// Email one digest listing new matches grouped by saved search: [{ search, projects }]
+const sendSavedSearchDigest = async (user, groups) => {
+  const total = groups.reduce((sum, group) => sum + group.projects.length, 0);
+  const link = (project) => `${getClientUrl()}/projects/${project._id}`;
+
+  const text = groups.map(({ search, projects }) =>
+    `${search.name}\n${projects.map(project => `- ${project.title}: ${link(project)}`).join('\n')}`
+  ).join('\n\n');
+
+  const html = groups.map(({ search, projects }) =>
+    `<h3>${escapeHtml(search.name)}</h3><ul>${projects.map(project =>
+      `<li><a href="${link(project)}">${escapeHtml(project.title)}</a></li>`
+    ).join('')}</ul>`
+  ).join('');
+
+  await sendMail({
+    to: user.email,
+    subject: `${total} new ${total === 1 ? 'project matches' : 'projects match'} your saved searches`,
+    text: `Hi ${user.name},\n\nNew projects match your saved searches on UniConnect:\n\n${text}\n\nYou can turn off these emails in your saved search settings.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>New projects match your saved searches on UniConnect:</p>${html}<p>You can turn off these emails in your saved search settings.</p>`
+  });
+};
+
+module.exports = {
+  isDigestEnabled,
+  sendSavedSearchDigest
+};
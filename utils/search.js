@@ -0,0 +1,86 @@
+// Shared helpers for free-text search over text-indexed collections (see the text indexes
+// on User and Project). User input is never interpreted as a regular expression.
+
+const { escapeHtml } = require('./html');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words to highlight: quoted phrases and plain words, ignoring negated (-word) terms
+const parseTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(search || ''))) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) terms.push(term);
+  }
+
+  return [...new Set(terms)];
+};
+
+// Filter, projection and sort for a $text query, or null when there is nothing to search for
+const textSearch = (search) => {
+  const text = String(search || '').trim();
+  if (!text) return null;
+
+  return {
+    filter: { $text: { $search: text } },
+    projection: { searchScore: { $meta: 'textScore' } },
+    sort: { searchScore: { $meta: 'textScore' } },
+    terms: parseTerms(text)
+  };
+};
+
+// Case-insensitive prefix match for exact-ish lookups (e.g. email addresses)
+const prefixRegex = (value) => new RegExp(`^${escapeRegex(String(value).trim())}`, 'i');
+
+// Excerpt of text around the first matching term, HTML-escaped, with matches in <mark>.
+// Terms match word prefixes so stemmed hits ("build" in "building") are highlighted too.
+const highlight = (text, terms, { maxLength = 160 } = {}) => {
+  if (!text || !terms.length) return null;
+
+  const source = String(text);
+  const matcher = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const first = source.search(matcher);
+  if (first === -1) return null;
+
+  // Centre the window on the first hit
+  const start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), source.length - maxLength));
+  const end = Math.min(source.length, start + maxLength);
+  const excerpt = source.slice(start, end);
+
+  let result = '';
+  let last = 0;
+  excerpt.replace(matcher, (hit, term, offset) => {
+    result += escapeHtml(excerpt.slice(last, offset)) + `<mark>${escapeHtml(hit)}</mark>`;
+    last = offset + hit.length;
+    return hit;
+  });
+  result += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${result}${end < source.length ? '…' : ''}`;
+};
+
+// Snippets for each field of a document that contains a search term
+const buildHighlights = (doc, fields, terms) => {
+  const highlights = {};
+
+  fields.forEach(field => {
+    const value = Array.isArray(doc[field]) ? doc[field].join(', ') : doc[field];
+    const snippet = highlight(value, terms);
+    if (snippet) highlights[field] = snippet;
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  parseTerms,
+  textSearch,
+  prefixRegex,
+  highlight,
+  buildHighlights
+};
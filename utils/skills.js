@@ -0,0 +1,195 @@
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Endorsement = require('../models/Endorsement');
+
+// Starter taxonomy inserted by the migration when missing; admins can edit it afterwards
+const DEFAULT_SKILLS = [
+  { name: 'JavaScript', aliases: ['JS', 'ECMAScript'], category: 'language' },
+  { name: 'TypeScript', aliases: ['TS'], category: 'language' },
+  { name: 'Python', aliases: ['Python3', 'py'], category: 'language' },
+  { name: 'Java', category: 'language' },
+  { name: 'C', category: 'language' },
+  { name: 'C++', aliases: ['cpp'], category: 'language' },
+  { name: 'C#', aliases: ['csharp', 'C Sharp'], category: 'language' },
+  { name: 'Go', aliases: ['Golang'], category: 'language' },
+  { name: 'Rust', category: 'language' },
+  { name: 'Kotlin', category: 'language' },
+  { name: 'Swift', category: 'language' },
+  { name: 'PHP', category: 'language' },
+  { name: 'Ruby', category: 'language' },
+  { name: 'SQL', category: 'language' },
+  { name: 'HTML', aliases: ['HTML5'], category: 'language' },
+  { name: 'CSS', aliases: ['CSS3'], category: 'language' },
+  { name: 'React', aliases: ['ReactJS', 'React.js'], category: 'framework' },
+  { name: 'React Native', category: 'framework' },
+  { name: 'Angular', aliases: ['AngularJS'], category: 'framework' },
+  { name: 'Vue', aliases: ['VueJS', 'Vue.js'], category: 'framework' },
+  { name: 'Next.js', aliases: ['Next', 'NextJS'], category: 'framework' },
+  { name: 'Node.js', aliases: ['Node', 'NodeJS'], category: 'framework' },
+  { name: 'Express', aliases: ['ExpressJS', 'Express.js'], category: 'framework' },
+  { name: 'Django', category: 'framework' },
+  { name: 'Flask', category: 'framework' },
+  { name: 'Spring Boot', aliases: ['Spring'], category: 'framework' },
+  { name: 'Flutter', category: 'framework' },
+  { name: 'Tailwind CSS', aliases: ['Tailwind', 'TailwindCSS'], category: 'library' },
+  { name: 'TensorFlow', category: 'library' },
+  { name: 'PyTorch', aliases: ['Torch'], category: 'library' },
+  { name: 'MongoDB', aliases: ['Mongo'], category: 'database' },
+  { name: 'PostgreSQL', aliases: ['Postgres', 'psql'], category: 'database' },
+  { name: 'MySQL', category: 'database' },
+  { name: 'Redis', category: 'database' },
+  { name: 'Firebase', category: 'cloud' },
+  { name: 'AWS', aliases: ['Amazon Web Services'], category: 'cloud' },
+  { name: 'Docker', category: 'tool' },
+  { name: 'Kubernetes', aliases: ['k8s'], category: 'tool' },
+  { name: 'Git', category: 'tool' },
+  { name: 'Figma', category: 'design' },
+  { name: 'Machine Learning', aliases: ['ML'], category: 'data' },
+  { name: 'Data Analysis', category: 'data' }
+];
+
+// Map free-text values to canonical skill names. Unknown values are kept (trimmed) so
+// nothing a user typed is lost; duplicates by normalized key are dropped.
+const normalizeSkillNames = async (values = []) => {
+  const byKey = await Skill.resolveMany(values);
+  const seen = new Set();
+  const result = [];
+
+  for (const value of values) {
+    const key = Skill.normalizeKey(value);
+    if (!key) continue;
+
+    const skill = byKey.get(key);
+    const name = skill ? skill.name : String(value).trim();
+    const nameKey = Skill.normalizeKey(name);
+
+    if (!seen.has(nameKey)) {
+      seen.add(nameKey);
+      result.push(name);
+    }
+  }
+
+  return result;
+};
+
+// express-validator check for one skills[] entry: a name, or { name, level }
+const validateSkillEntry = (entry) => {
+  const name = typeof entry === 'string' ? entry : entry && entry.name;
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+    throw new Error('Each skill must be a name of 1 to 50 characters');
+  }
+  if (typeof entry === 'object' && entry.level !== undefined && !Skill.PROFICIENCY_LEVELS.includes(entry.level)) {
+    throw new Error(`Skill level must be one of: ${Skill.PROFICIENCY_LEVELS.join(', ')}`);
+  }
+  return true;
+};
+
+// Profile input: entries are names or { name, level }. Returns skills plus proficiency levels.
+const normalizeSkillInput = async (entries = []) => {
+  const names = entries.map(entry => (typeof entry === 'string' ? entry : entry.name));
+  const skills = await normalizeSkillNames(names);
+
+  const levels = new Map();
+  for (const entry of entries) {
+    if (typeof entry === 'string' || !entry.level) continue;
+    const [name] = await normalizeSkillNames([entry.name]);
+    if (name) levels.set(name, entry.level);
+  }
+
+  return {
+    skills,
+    skillLevels: skills.filter(name => levels.has(name)).map(name => ({ skill: name, level: levels.get(name) }))
+  };
+};
+
+// Parse a comma-separated query value into canonical names for filtering
+const resolveSkillFilter = (value) => normalizeSkillNames(String(value).split(','));
+
+// Propagate a canonical rename to everything that stores skill names
+const renameSkill = async (previousName, name) => {
+  await User.updateMany(
+    { skills: previousName },
+    { $set: { 'skills.$[entry]': name } },
+    { arrayFilters: [{ entry: previousName }] }
+  );
+  await User.updateMany(
+    { 'skillLevels.skill': previousName },
+    { $set: { 'skillLevels.$[entry].skill': name } },
+    { arrayFilters: [{ 'entry.skill': previousName }] }
+  );
+  await Project.updateMany(
+    { techStack: previousName },
+    { $set: { 'techStack.$[entry]': name } },
+    { arrayFilters: [{ entry: previousName }] }
+  );
+  await Endorsement.updateMany({ skill: previousName }, { skill: name });
+};
+
+// Insert any default skills that are missing (by name)
+const seedDefaultSkills = async () => {
+  const existing = new Set(await Skill.distinct('name'));
+  const missing = DEFAULT_SKILLS.filter(skill => !existing.has(skill.name));
+
+  for (const skill of missing) {
+    await Skill.create(skill);
+  }
+
+  return missing.length;
+};
+
+// Rewrite existing User.skills and Project.techStack to canonical names.
+// Returns a summary including the free-text values that are not in the taxonomy yet.
+const migrateSkills = async ({ seed = true } = {}) => {
+  const seeded = seed ? await seedDefaultSkills() : 0;
+  const knownKeys = await Skill.resolveMany([
+    ...await User.distinct('skills'),
+    ...await Project.distinct('techStack')
+  ]);
+  const unmatched = {};
+
+  const migrate = async (Model, field) => {
+    const docs = await Model.find({ [`${field}.0`]: { $exists: true } }).select(field);
+    let updated = 0;
+
+    for (const doc of docs) {
+      const current = doc[field];
+      const normalized = await normalizeSkillNames(current);
+
+      current.forEach(value => {
+        const trimmed = String(value).trim();
+        if (trimmed && !knownKeys.has(Skill.normalizeKey(trimmed))) {
+          unmatched[trimmed] = (unmatched[trimmed] || 0) + 1;
+        }
+      });
+
+      if (normalized.join('\n') !== current.join('\n')) {
+        await Model.updateOne({ _id: doc._id }, { [field]: normalized });
+        updated += 1;
+      }
+    }
+
+    return { scanned: docs.length, updated };
+  };
+
+  return {
+    seeded,
+    users: await migrate(User, 'skills'),
+    projects: await migrate(Project, 'techStack'),
+    unmatched: Object.entries(unmatched)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+};
+
+module.exports = {
+  DEFAULT_SKILLS,
+  normalizeSkillNames,
+  validateSkillEntry,
+  normalizeSkillInput,
+  resolveSkillFilter,
+  renameSkill,
+  seedDefaultSkills,
+  migrateSkills
+};
@@ -0,0 +1,67 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk under UPLOAD_DIR (defaults to ./uploads)
+const createLocalStorage = (rootDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')) => {
+  // Keys are relative paths like "avatars/<userId>/<file>"; never let them escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    // Returns the file contents, or null if the key does not exist
+    async read(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // Remove every key under a prefix (e.g. all of a user's avatars)
+    async removePrefix(prefix) {
+      await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+    }
+  };
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createLocalStorage();
+  }
+  return storage;
+};
+
+// Swap the storage backend (e.g. an object store adapter with the same methods)
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,118 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { describeDevice } = require('./device');
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+
+// Generate a short-lived access JWT bound to a session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+// Issue a refresh token in the session's family and slide the session expiry
+const issueRefreshToken = async (session, req) => {
+  const { rawToken, doc } = await RefreshToken.issue(session.user, session._id.toString(), {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  session.expiresAt = doc.expiresAt;
+  session.lastUsedAt = new Date();
+  session.lastIp = req.ip;
+  await session.save();
+
+  return { rawToken, doc };
+};
+
+// Start a new session: record the device and issue an access/refresh token pair
+const issueTokens = async (user, req) => {
+  const userAgent = req.get('user-agent') || '';
+  const session = new Session({
+    user: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.ip,
+    lastIp: req.ip,
+    expiresAt: new Date()
+  });
+
+  const { rawToken } = await issueRefreshToken(session, req);
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: rawToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    sessionId: session._id
+  };
+};
+
+// Exchange a refresh token for a new pair; reuse of a rotated token revokes the whole session
+const rotateRefreshToken = async (rawToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(rawToken) });
+
+  if (!stored) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      console.warn(`Refresh token reuse detected for user ${stored.user}, revoking session ${stored.family}`);
+      await Session.revoke(stored.family, 'reuse_detected');
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  // Mark as used atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await Session.revoke(stored.family, 'reuse_detected');
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const session = await Session.findById(stored.family);
+  if (!session || !session.isActive()) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await Session.revoke(session._id, 'admin');
+    return { error: 'Account is deactivated' };
+  }
+
+  const { rawToken: nextToken, doc } = await issueRefreshToken(session, req);
+  await user.markActive();
+
+  claimed.replacedBy = doc._id;
+  await claimed.save();
+
+  return {
+    user,
+    tokens: {
+      token: generateAccessToken(user, session._id),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE
+    }
+  };
+};
+
+module.exports = {
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyCode } = require('./totp');
+
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields that must be selected to verify a second factor
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Generate fresh recovery codes; returns the plain codes (shown once) and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Short-lived token proving the password step of a two-step login succeeded
+const createLoginChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Decode a login challenge; throws if it is invalid, expired or not a challenge token
+const decodeLoginChallenge = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
+// Check a TOTP code or recovery code against a user loaded with TWO_FACTOR_FIELDS.
+// Consumes recovery codes and records the TOTP step; caller must save the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null || (user.twoFactorLastStep && step <= user.twoFactorLastStep)) {
+      return false;
+    }
+    user.twoFactorLastStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  createLoginChallenge,
+  decodeLoginChallenge,
+  verifySecondFactor
+};
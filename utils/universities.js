@@ -0,0 +1,111 @@
+const University = require('../models/University');
+const User = require('../models/User');
+const Project = require('../models/Project');
+
+// Generic student suffixes accepted when no registry entry matches (STUDENT_EMAIL_DOMAINS
+// overrides them, comma-separated), so sign-up works before any university is registered
+const DEFAULT_STUDENT_DOMAINS = ['edu', 'ac.in', 'ac.uk', 'edu.au'];
+
+const getStudentDomains = () => (process.env.STUDENT_EMAIL_DOMAINS
+  ? process.env.STUDENT_EMAIL_DOMAINS.split(',').map(domain => domain.trim().toLowerCase().replace(/^\./, '')).filter(Boolean)
+  : DEFAULT_STUDENT_DOMAINS);
+
+// Whether an email address is under one of the generic student suffixes
+const isStudentEmail = (email) => {
+  const domain = String(email || '').split('@')[1];
+  if (!domain) return false;
+  const host = domain.toLowerCase();
+  return getStudentDomains().some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+};
+
+// University fields for an account with this email: the registry entry for its domain, or for
+// a generic student domain the university the user named (kept as text until an admin adds
+// it to the registry and reconciles). Returns null when the email is not accepted.
+const resolveEmailUniversity = async (email, universityText) => {
+  const university = await University.findByEmail(email);
+  if (university) {
+    return { university: university.name, universityId: university._id };
+  }
+
+  const text = String(universityText || '').trim();
+  if (!text || !isStudentEmail(email)) return null;
+
+  // The name is not verified by the email domain, so it is not linked to a registry entry
+  const named = await University.resolve(text);
+  return { university: named ? named.name : text, universityId: undefined };
+};
+
+// Turn a `university` query value into an exact filter value (canonical name when known)
+const resolveUniversityFilter = async (value) => {
+  const university = await University.resolve(value);
+  return university ? university.name : String(value).trim();
+};
+
+// Match existing users to canonical universities, by name/alias first and then by email domain.
+// Returns a summary including the free-text values that could not be matched.
+const reconcileUserUniversities = async () => {
+  const users = await User.find({ universityId: { $exists: false } }).select('email university');
+  const unmatched = {};
+  let matched = 0;
+
+  for (const user of users) {
+    const university = (await University.resolve(user.university)) || (await University.findByEmail(user.email));
+
+    if (!university) {
+      unmatched[user.university] = (unmatched[user.university] || 0) + 1;
+      continue;
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { university: university.name, universityId: university._id }
+    );
+    await Project.syncOwnerUniversity(user._id, university.name);
+    matched += 1;
+  }
+
+  return {
+    scanned: users.length,
+    matched,
+    unmatched: Object.entries(unmatched)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+};
+
+// Copy owners' universities onto projects created before Project.university existed
+// (or whose owner could not be loaded then); runs in batches until none are left
+const backfillProjectUniversities = async (batchSize = 500) => {
+  let updated = 0;
+
+  for (;;) {
+    const projects = await Project.find({ university: { $exists: false } })
+      .select('owner')
+      .populate('owner', 'university')
+      .limit(batchSize)
+      .lean();
+    if (!projects.length) break;
+
+    // Projects whose owner is gone get null so they are not picked up again
+    await Project.bulkWrite(projects.map(project => ({
+      updateOne: {
+        filter: { _id: project._id },
+        update: { university: (project.owner && project.owner.university) || null }
+      }
+    })));
+
+    updated += projects.length;
+    if (projects.length < batchSize) break;
+  }
+
+  return { updated };
+};
+
+module.exports = {
+  DEFAULT_STUDENT_DOMAINS,
+  isStudentEmail,
+  resolveEmailUniversity,
+  resolveUniversityFilter,
+  reconcileUserUniversities,
+  backfillProjectUniversities
+};
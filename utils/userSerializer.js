@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+
+// Always visible to any logged-in user
+const PUBLIC_FIELDS = ['name', 'university', 'profilePicture', 'isEmailVerified', 'createdAt'];
+
+// Fields gated by user.privacy
+const PRIVATE_FIELDS = Object.keys(User.PRIVACY_DEFAULTS);
+
+// Extra paths the serializer needs; add to every select/populate of users that gets serialized
+const PRIVACY_SELECT = 'privacy university universityId';
+
+const withPrivacy = (fields) => `${fields} ${PRIVACY_SELECT}`;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Ids of everyone who shares a (non-deleted) project with the user, as owner or member
+const getCollaboratorIds = async (userId) => {
+  const projects = await Project.find({
+    isDeleted: false,
+    $or: [{ owner: userId }, { 'members.user': userId }]
+  }).select('owner members.user').lean();
+
+  const ids = new Set();
+  projects.forEach(project => {
+    ids.add(idOf(project.owner));
+    project.members.forEach(member => ids.add(idOf(member.user)));
+  });
+  ids.delete(idOf(userId));
+  return ids;
+};
+
+const isSameUniversity = (user, viewer) => {
+  if (user.universityId && viewer.universityId) {
+    return idOf(user.universityId) === idOf(viewer.universityId);
+  }
+  return !!user.university && user.university === viewer.university;
+};
+
+// Levels widen from nobody < collaborators < university < everyone, so collaborators
+// at another university still see fields shared with the university
+const canSee = (level, user, viewer, collaboratorIds) => {
+  if (level === 'everyone') return true;
+  if (!viewer || level === 'nobody') return false;
+
+  const isCollaborator = collaboratorIds.has(idOf(user));
+  if (level === 'collaborators') return isCollaborator;
+  return isCollaborator || isSameUniversity(user, viewer);
+};
+
+// Plain object with only the fields the viewer may see. Pass viewer = null for an
+// audience that is not known in advance (e.g. socket broadcasts): only "everyone" fields remain.
+const serializeUser = (user, viewer, collaboratorIds = new Set()) => {
+  if (!user) return user;
+
+  // Unpopulated reference (an ObjectId's _id is itself): nothing to hide
+  if (!user._id || user._id === user) return user;
+
+  const source = typeof user.toObject === 'function' ? user.toObject({ virtuals: false }) : user;
+
+  if (viewer && idOf(source) === idOf(viewer)) {
+    const { password, tokenVersion, ...own } = source;
+    return own;
+  }
+
+  const privacy = { ...User.PRIVACY_DEFAULTS, ...(source.privacy || {}) };
+  const result = { _id: source._id };
+
+  PUBLIC_FIELDS.forEach(field => {
+    if (source[field] !== undefined) result[field] = source[field];
+  });
+
+  PRIVATE_FIELDS.forEach(field => {
+    if (source[field] !== undefined && canSee(privacy[field], source, viewer, collaboratorIds)) {
+      result[field] = source[field];
+    }
+  });
+
+  // Proficiency levels follow the skills setting
+  if (result.skills && source.skillLevels) {
+    result.skillLevels = source.skillLevels;
+  }
+
+  return result;
+};
+
+// Serializer bound to a viewer; looks up their collaborators once per request
+const createUserSerializer = async (viewer) => {
+  const collaboratorIds = viewer ? await getCollaboratorIds(viewer._id) : new Set();
+  return (user) => serializeUser(user, viewer, collaboratorIds);
+};
+
+// Serialize the user references a project response can contain
+const serializeProjectUsers = (project, serialize) => {
+  const source = typeof project.toObject === 'function' ? project.toObject() : { ...project };
+
+  source.owner = serialize(source.owner);
+  if (source.members) {
+    source.members = source.members.map(member => ({ ...member, user: serialize(member.user) }));
+  }
+  if (source.joinRequests) {
+    source.joinRequests = source.joinRequests.map(request => ({ ...request, user: serialize(request.user) }));
+  }
+  if (source.tasks) {
+    source.tasks = source.tasks.map(task => ({ ...task, assignedTo: serialize(task.assignedTo) }));
+  }
+
+  return source;
+};
+
+module.exports = {
+  PRIVACY_SELECT,
+  withPrivacy,
+  getCollaboratorIds,
+  serializeUser,
+  createUserSerializer,
+  serializeProjectUsers
+};